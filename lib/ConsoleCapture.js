@@ -0,0 +1,73 @@
+/* Copyright @ 2015-present 8x8, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+var Logger = require("./Logger");
+var StackTrace = require("./StackTrace");
+
+// The patched console methods log on behalf of their callers.
+Logger.addInternalFileLocation(StackTrace.getFileLocation());
+
+/**
+ * Patches the <tt>console</tt> methods of the log levels, so that the calls
+ * are routed to the given logger and thus are subject to its level and reach
+ * all the transports, e.g. the <tt>LogCollector</tt>. The patched methods keep
+ * the original ones in the <tt>originalConsoleMethod</tt> property which
+ * the console transport uses in order to avoid the recursion. The calls made
+ * while a captured call is being logged, e.g. by a failing transport, go
+ * directly to the original methods.
+ * @param {Logger} logger the logger the console calls are routed to.
+ * @returns {function()} the function which restores the original methods.
+ */
+function capture(logger) {
+    var originals = {};
+    var routing = false;
+
+    Object.values(Logger.levels).forEach(function (level) {
+        var original = console[level];
+
+        if (typeof original !== "function") {
+            return;
+        }
+        originals[level] = original;
+
+        var patched = function () {
+            var args = Array.prototype.slice.call(arguments);
+
+            if (routing) {
+                return original.apply(console, args);
+            }
+            routing = true;
+            try {
+                Logger.logFromWrapper(logger, level, args);
+            } finally {
+                routing = false;
+            }
+        };
+        patched.originalConsoleMethod = original;
+        console[level] = patched;
+    });
+
+    return function () {
+        Object.keys(originals).forEach(function (level) {
+            // Don't overwrite the methods patched by someone else since then.
+            if (console[level] && console[level].originalConsoleMethod === originals[level]) {
+                console[level] = originals[level];
+            }
+        });
+    };
+}
+
+module.exports = {
+    capture: capture
+};
@@ -0,0 +1,148 @@
+/* Copyright @ 2015-present 8x8, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Flushes the transports of the logger which can be flushed, e.g.
+ * the <tt>LogCollector</tt>s, so that the error is stored right away.
+ * @param {Logger} logger the logger.
+ */
+function flushTransports(logger) {
+    logger.getTransports().forEach(function (transport) {
+        if (typeof transport.flush === "function") {
+            try {
+                transport.flush();
+            } catch (error) {
+                console.error("An error occured when trying to flush a transport", error);
+            }
+        }
+    });
+}
+
+/**
+ * Returns the mode of handling the unhandled rejections set by
+ * the <tt>--unhandled-rejections</tt> flag of Node either on the command line
+ * or in <tt>NODE_OPTIONS</tt>.
+ * @returns {string} the mode, "throw" by default.
+ */
+function getUnhandledRejectionsMode() {
+    var flags = (process.execArgv || []).concat(
+        process.env && process.env.NODE_OPTIONS ? process.env.NODE_OPTIONS.split(/\s+/) : []);
+    var mode = "throw";
+
+    flags.forEach(function (flag) {
+        var match = /^--unhandled-rejections=(.+)$/.exec(flag);
+
+        if (match) {
+            mode = match[1];
+        }
+    });
+
+    return mode;
+}
+
+/**
+ * Logs the uncaught errors and the unhandled promise rejections with the given
+ * logger. The <tt>error</tt> and <tt>unhandledrejection</tt> events of
+ * the window are listened to in browsers and the
+ * <tt>uncaughtExceptionMonitor</tt> and <tt>unhandledRejection</tt> events of
+ * the process in Node. The default handling of the errors is preserved: in Node
+ * the rejections are logged from the <tt>uncaughtExceptionMonitor</tt> when
+ * they're raised as exceptions and the <tt>unhandledRejection</tt> event is
+ * listened to only when the <tt>--unhandled-rejections</tt> mode is "warn" or
+ * "none", because the listener doesn't change the handling in these modes.
+ * @param {Logger} logger the logger the errors are logged with.
+ * @param {Object} [options] the options.
+ * @param {boolean} [options.flush] whether to flush the transports of
+ * the logger after an error is logged. Defaults to <tt>true</tt>.
+ * @returns {function()} the function which removes the listeners.
+ */
+function install(logger, options) {
+    var flush = !options || options.flush !== false;
+    var listeners = [];
+
+    var onError = function (message, error, details) {
+        logger.error.apply(logger, [ message, error ].concat(details ? [ details ] : []));
+        if (flush) {
+            flushTransports(logger);
+        }
+    };
+
+    if (typeof window !== "undefined" && typeof window.addEventListener === "function") {
+        listeners.push({
+            target: window,
+            event: "error",
+            listener: function (event) {
+                // The error is null for the cross-origin scripts.
+                onError("Uncaught error:", event.error || event.message, {
+                    filename: event.filename,
+                    lineno: event.lineno,
+                    colno: event.colno
+                });
+            }
+        });
+        listeners.push({
+            target: window,
+            event: "unhandledrejection",
+            listener: function (event) {
+                onError("Unhandled promise rejection:", event.reason);
+            }
+        });
+        listeners.forEach(function (l) {
+            l.target.addEventListener(l.event, l.listener);
+        });
+    } else if (typeof process !== "undefined" && typeof process.on === "function") {
+        // The monitor doesn't change the default handling of the exception.
+        listeners.push({
+            target: process,
+            event: "uncaughtExceptionMonitor",
+            listener: function (error, origin) {
+                onError(origin === "unhandledRejection" ?
+                    "Unhandled promise rejection:" : "Uncaught exception:", error);
+            }
+        });
+
+        var mode = getUnhandledRejectionsMode();
+
+        // In the other modes listening for the rejections would prevent them
+        // from being raised as exceptions or from setting the exit code.
+        if (mode === "warn" || mode === "none") {
+            listeners.push({
+                target: process,
+                event: "unhandledRejection",
+                listener: function (reason) {
+                    onError("Unhandled promise rejection:", reason);
+                }
+            });
+        }
+        listeners.forEach(function (l) {
+            l.target.on(l.event, l.listener);
+        });
+    }
+
+    return function () {
+        listeners.forEach(function (l) {
+            if (typeof l.target.removeEventListener === "function") {
+                l.target.removeEventListener(l.event, l.listener);
+            } else {
+                l.target.removeListener(l.event, l.listener);
+            }
+        });
+        listeners = [];
+    };
+}
+
+module.exports = {
+    install: install
+};
@@ -0,0 +1,70 @@
+/* Copyright @ 2016-present 8x8, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+var fs = require("fs");
+var LogPersistence = require("./LogPersistence");
+
+/**
+ * Creates new <tt>FileLogPersistence</tt> which implements
+ * <tt>LogPersistence</tt> by keeping the batches in a local file. It's meant
+ * for Node only and that's why it's not exported by the main module. The file
+ * is written synchronously in order to survive a crash right after the save.
+ *
+ * @param {Object} options the configuration options.
+ * @param {string} options.path the path of the file.
+ * @param {number} [options.maxBytes] the size cap of the persisted batches.
+ * The oldest batches are evicted when it is exceeded.
+ *
+ * @constructor
+ */
+function FileLogPersistence(options) {
+    this.path = options.path;
+    this.maxBytes = options.maxBytes ? options.maxBytes : LogPersistence.DEFAULT_MAX_BYTES;
+}
+
+/**
+ * Returns the persisted batches. A missing or corrupted file is treated as
+ * an empty one.
+ * @returns {Promise<Array<object[]>>}
+ */
+FileLogPersistence.prototype.load = function () {
+    var batches = [];
+
+    try {
+        batches = JSON.parse(fs.readFileSync(this.path, "utf8"));
+    } catch (error) {
+        if (error.code !== "ENOENT") {
+            console.error("FileLogPersistence failed to read " + this.path, error);
+        }
+    }
+
+    return Promise.resolve(Array.isArray(batches) ? batches : []);
+};
+
+/**
+ * Replaces the persisted batches. The batches are written to a temporary file
+ * first which then replaces the original file, so that a crash during the write
+ * does not corrupt it.
+ * @param {Array<object[]>} batches the batches to persist.
+ */
+FileLogPersistence.prototype.save = function (batches) {
+    var tmpPath = this.path + ".tmp";
+
+    fs.writeFileSync(
+        tmpPath,
+        JSON.stringify(LogPersistence.limitBatches(batches, this.maxBytes)));
+    fs.renameSync(tmpPath, this.path);
+};
+
+module.exports = FileLogPersistence;
@@ -0,0 +1,394 @@
+/* Copyright @ 2015-present 8x8, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+var fs = require("fs");
+var Logger = require("./Logger");
+var Formatters = require("./Formatters");
+
+/**
+ * The flags of the opened files. The files are not opened for appending and
+ * the data is written at the given positions instead, so that the data of
+ * a write in progress can be written again at the same position by
+ * {@link FileTransport#flushSync}.
+ */
+var OPEN_FLAGS = fs.constants.O_WRONLY | fs.constants.O_CREAT;
+
+/**
+ * Returns the local date of the given time, e.g. "2021-03-04".
+ * @param {number} time the time in milliseconds.
+ * @returns {string}
+ */
+function getDate(time) {
+    var date = new Date(time);
+
+    return [
+        date.getFullYear(),
+        date.getMonth() + 1,
+        date.getDate()
+    ].map(function (n) {
+        return n < 10 ? "0" + n : String(n);
+    }).join("-");
+}
+
+/**
+ * Creates new <tt>FileTransport</tt>. Class implements <tt>LoggerTransport</tt>
+ * and appends the formatted records, one per line, to a file. It's meant for
+ * Node only and that's why it's not exported by the main module.
+ *
+ * The lines are buffered and written asynchronously. While a write is in
+ * progress the next lines are buffered and they're written at once after it
+ * completes. The oldest lines are dropped when the buffer exceeds its limit
+ * and their number is reported by a line written instead of them.
+ *
+ * The file is rotated when the next line would exceed <tt>maxSize</tt> or,
+ * with the <tt>daily</tt> option, when the date changes. The buffered lines
+ * are split between the files, so that only a single line longer than
+ * <tt>maxSize</tt> can exceed it. The rotated files are
+ * renamed to "path.1", "path.2" and so on, "path.1" being the most recent one,
+ * and only <tt>maxFiles</tt> of them are kept.
+ *
+ * @param {Object} options the <tt>FileTransport</tt> configuration options.
+ * @param {string} options.path the path of the file.
+ * @param {LogFormatter} options.formatter the formatter of the lines, e.g.
+ * the JSON lines formatter. Defaults to the text formatter.
+ * @param {number} options.maxSize the max size of the file in bytes. Defaults
+ * to 10485760 (10 MB).
+ * @param {boolean} options.daily whether to rotate the file when the local
+ * date changes.
+ * @param {number} options.maxFiles the number of the rotated files kept.
+ * Defaults to 5.
+ * @param {number} options.maxBufferedBytes the max total length of
+ * the buffered lines. Defaults to 1000000.
+ * @param {boolean} options.flushOnExit if <tt>true</tt> the buffered lines are
+ * written synchronously when the process exits.
+ * @param {function(): number} options.now the clock returning the current time
+ * in milliseconds. Defaults to <tt>Date.now</tt>.
+ *
+ * @constructor
+ */
+function FileTransport(options) {
+    this.path = options.path;
+    this.formatter = options.formatter || Formatters.text();
+    this.maxSize = options.maxSize || 10485760;
+    this.daily = Boolean(options.daily);
+    this.maxFiles = typeof options.maxFiles === "number" ? options.maxFiles : 5;
+    this.maxBufferedBytes = options.maxBufferedBytes || 1000000;
+    this.now = options.now || Date.now;
+    /**
+     * Tells the <tt>Logger</tt> to call the log methods with
+     * <tt>LogRecord</tt>s.
+     * @type {boolean}
+     */
+    this.acceptsRecords = true;
+    /**
+     * The file descriptor of the open file or <tt>null</tt>.
+     * @type {number|null}
+     */
+    this.fd = null;
+    /**
+     * The size of the open file in bytes.
+     * @type {number}
+     */
+    this.size = 0;
+    /**
+     * The local date of the content of the open file.
+     * @type {string|null}
+     */
+    this.date = null;
+    /**
+     * The lines waiting to be written.
+     * @type {string[]}
+     */
+    this.buffer = [];
+    /**
+     * The total length of the lines in the {@link buffer}.
+     * @type {number}
+     */
+    this.bufferedBytes = 0;
+    /**
+     * The number of the lines dropped since the last write.
+     * @type {number}
+     */
+    this.droppedLines = 0;
+    /**
+     * Whether an asynchronous write is in progress.
+     * @type {boolean}
+     */
+    this.writing = false;
+    /**
+     * The asynchronous write in progress. It's kept until the write completes
+     * in order to write its data synchronously if the process exits first.
+     * The <tt>data</tt> is cleared once it's written synchronously.
+     * @type {{fd: number, position: number, data: Buffer|null}|null}
+     */
+    this.currentWrite = null;
+    /**
+     * The listeners waiting for the buffer to be written.
+     * @type {function[]}
+     */
+    this._flushListeners = [];
+    this._onExit = this.flushSync.bind(this);
+
+    Object.values(Logger.levels).forEach(function (logLevel) {
+        this[logLevel] = function (record) {
+            this._write(this.formatter.format(record) + "\n");
+        }.bind(this);
+    }.bind(this));
+
+    if (options.flushOnExit) {
+        process.on("exit", this._onExit);
+    }
+}
+
+/**
+ * Buffers the line and starts writing the buffer unless a write is already in
+ * progress.
+ * @param {string} line the formatted line.
+ * @private
+ */
+FileTransport.prototype._write = function (line) {
+    this.buffer.push(line);
+    this.bufferedBytes += line.length;
+    while (this.bufferedBytes > this.maxBufferedBytes && this.buffer.length > 1) {
+        this.bufferedBytes -= this.buffer.shift().length;
+        this.droppedLines += 1;
+    }
+    if (!this.writing) {
+        this._writeBuffered();
+    }
+};
+
+/**
+ * Puts the report of the dropped lines, if there are any, in front of
+ * the buffered lines.
+ * @private
+ */
+FileTransport.prototype._addDroppedLinesReport = function () {
+    if (this.droppedLines) {
+        var report = "... " + this.droppedLines + " lines dropped, because the writes were too slow\n";
+
+        this.buffer.unshift(report);
+        this.bufferedBytes += report.length;
+        this.droppedLines = 0;
+    }
+};
+
+/**
+ * Takes the buffered lines which fit in the given number of bytes, but at
+ * least one line.
+ * @param {number} maxBytes the max size of the lines in bytes.
+ * @returns {Buffer}
+ * @private
+ */
+FileTransport.prototype._takeBuffered = function (maxBytes) {
+    var lines = [];
+    var size = 0;
+
+    while (this.buffer.length) {
+        var lineSize = Buffer.byteLength(this.buffer[0]);
+
+        if (lines.length && size + lineSize > maxBytes) {
+            break;
+        }
+        var line = this.buffer.shift();
+        this.bufferedBytes -= line.length;
+        lines.push(line);
+        size += lineSize;
+    }
+
+    return Buffer.from(lines.join(""));
+};
+
+/**
+ * Opens the file if it's not open or rotates it if the next buffered line
+ * doesn't fit in it and takes the buffered lines which fit in it.
+ * @returns {Buffer} the data to be written.
+ * @private
+ */
+FileTransport.prototype._takeNextChunk = function () {
+    this._addDroppedLinesReport();
+    try {
+        this._prepareFile(Buffer.byteLength(this.buffer[0]));
+    } catch (error) {
+        // The lines can't be written, so they're dropped.
+        this._takeBuffered(Infinity);
+        throw error;
+    }
+
+    return this._takeBuffered(this.maxSize - this.size);
+};
+
+/**
+ * Opens the file if it's not open or rotates it if the data doesn't fit in it.
+ * @param {number} dataSize the size of the data to be written in bytes.
+ * @private
+ */
+FileTransport.prototype._prepareFile = function (dataSize) {
+    var today = getDate(this.now());
+
+    if (this.fd === null) {
+        this.fd = fs.openSync(this.path, OPEN_FLAGS);
+
+        var stats = fs.fstatSync(this.fd);
+        this.size = stats.size;
+        this.date = stats.size ? getDate(stats.mtime.getTime()) : today;
+    }
+    if (this.size > 0 &&
+            (this.size + dataSize > this.maxSize || (this.daily && this.date !== today))) {
+        this._rotate();
+        this.fd = fs.openSync(this.path, OPEN_FLAGS);
+        this.size = 0;
+        this.date = today;
+    }
+};
+
+/**
+ * Closes the file and shifts the rotated files, removing the oldest ones.
+ * @private
+ */
+FileTransport.prototype._rotate = function () {
+    // The file of the write in progress is closed once the write completes.
+    if (!this.currentWrite || this.currentWrite.fd !== this.fd) {
+        fs.closeSync(this.fd);
+    }
+    this.fd = null;
+
+    var names = [ this.path ];
+    for (var i = 1; i <= this.maxFiles; i++) {
+        names.push(this.path + "." + i);
+    }
+    // The oldest file is removed and the others are shifted by one.
+    try {
+        fs.unlinkSync(names[names.length - 1]);
+    } catch (error) {
+        // There are less files than maxFiles.
+    }
+    for (var j = names.length - 2; j >= 0; j--) {
+        try {
+            fs.renameSync(names[j], names[j + 1]);
+        } catch (error) {
+            // There are less files than maxFiles.
+        }
+    }
+};
+
+/**
+ * Writes the buffered lines asynchronously, the ones which fit in the file at
+ * a time, and continues with the rest and the lines buffered in the meantime.
+ * @private
+ */
+FileTransport.prototype._writeBuffered = function () {
+    if (!this.buffer.length) {
+        var flushListeners = this._flushListeners;
+        this._flushListeners = [];
+        flushListeners.forEach(function (listener) {
+            listener();
+        });
+        return;
+    }
+
+    var data;
+
+    try {
+        data = this._takeNextChunk();
+    } catch (error) {
+        console.error("FileTransport failed to open " + this.path, error);
+        this._writeBuffered();
+        return;
+    }
+
+    var write = {
+        fd: this.fd,
+        position: this.size,
+        data: data
+    };
+
+    this.writing = true;
+    this.currentWrite = write;
+    this.size += data.length;
+    fs.write(write.fd, data, 0, data.length, write.position, function (error) {
+        this.writing = false;
+        this.currentWrite = null;
+        if (write.fd !== this.fd) {
+            // The file was rotated by flushSync in the meantime.
+            fs.closeSync(write.fd);
+        }
+        if (error) {
+            console.error("FileTransport failed to write to " + this.path, error);
+        }
+        this._writeBuffered();
+    }.bind(this));
+};
+
+/**
+ * Waits until the buffered lines are written to the file.
+ * @returns {Promise}
+ */
+FileTransport.prototype.flush = function () {
+    if (!this.writing && !this.buffer.length) {
+        return Promise.resolve();
+    }
+
+    return new Promise(function (resolve) {
+        this._flushListeners.push(resolve);
+    }.bind(this));
+};
+
+/**
+ * Writes the buffered lines synchronously, e.g. when the process exits,
+ * starting with the data of the asynchronous write in progress, so that
+ * the lines are not lost nor reordered.
+ */
+FileTransport.prototype.flushSync = function () {
+    var write = this.currentWrite;
+
+    if (write && write.data) {
+        // The data is written at the same position, so it's not duplicated
+        // when the asynchronous write completes too.
+        try {
+            fs.writeSync(write.fd, write.data, 0, write.data.length, write.position);
+        } catch (error) {
+            console.error("FileTransport failed to write to " + this.path, error);
+        }
+        write.data = null;
+    }
+    while (this.buffer.length) {
+        try {
+            var data = this._takeNextChunk();
+
+            fs.writeSync(this.fd, data, 0, data.length, this.size);
+            this.size += data.length;
+        } catch (error) {
+            console.error("FileTransport failed to write to " + this.path, error);
+        }
+    }
+};
+
+/**
+ * Writes the buffered lines and closes the file. The file is opened again if
+ * anything is logged later.
+ * @returns {Promise}
+ */
+FileTransport.prototype.close = function () {
+    process.removeListener("exit", this._onExit);
+
+    return this.flush().then(function () {
+        if (this.fd !== null) {
+            fs.closeSync(this.fd);
+            this.fd = null;
+        }
+    }.bind(this));
+};
+
+module.exports = FileTransport;
@@ -0,0 +1,147 @@
+/* Copyright @ 2015-present 8x8, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+var Logger = require("./Logger");
+
+/**
+ * The severity of the levels by name.
+ */
+var severities = {};
+Object.keys(Logger.levels).forEach(function (key, i) {
+    severities[Logger.levels[key]] = i;
+});
+
+/**
+ * Creates new <tt>FingersCrossedTransport</tt>. Class implements
+ * <tt>LoggerTransport</tt> and wraps another transport, e.g.
+ * a <tt>LogCollector</tt>. The messages at or above <tt>passLevel</tt> are
+ * passed on immediately. The less severe messages are held in a bounded buffer
+ * per logger id and are passed on only when a message at or above
+ * <tt>triggerLevel</tt> is logged by the same logger id, so that the verbose
+ * history explaining an error is kept without storing it all the time.
+ *
+ * The wrapped transport receives only the messages which pass the level of
+ * the loggers, so the level of the loggers has to be set low, e.g. to
+ * <tt>debug</tt>, and the level of the other transports can be set with
+ * <tt>setTransportOptions</tt>.
+ *
+ * @param {LoggerTransport} transport the wrapped transport.
+ * @param {Object} [options] the <tt>FingersCrossedTransport</tt> configuration
+ * options.
+ * @param {string} options.triggerLevel the level of the messages which trigger
+ * passing the buffered messages on. Defaults to <tt>error</tt>.
+ * @param {string} options.passLevel the level of the messages which are always
+ * passed on immediately. Defaults to <tt>info</tt>.
+ * @param {number} options.bufferSize the max number of messages buffered per
+ * logger id. The oldest ones are dropped. Defaults to 100.
+ * @param {number} options.before how old in milliseconds the buffered messages
+ * passed on with a trigger can be. Not limited by default.
+ * @param {number} options.after for how long in milliseconds after a trigger
+ * all the messages of the logger id are passed on immediately. Defaults to 0.
+ *
+ * @constructor
+ */
+function FingersCrossedTransport(transport, options) {
+    var opts = options || {};
+
+    this.transport = transport;
+    this.triggerLevel = opts.triggerLevel || Logger.levels.ERROR;
+    this.passLevel = opts.passLevel || Logger.levels.INFO;
+    this.bufferSize = opts.bufferSize || 100;
+    this.before = opts.before || 0;
+    this.after = opts.after || 0;
+    /**
+     * Tells the <tt>Logger</tt> to call the log methods with
+     * <tt>LogRecord</tt>s.
+     * @type {boolean}
+     */
+    this.acceptsRecords = true;
+    /**
+     * The buffered records by logger id.
+     * @type {Object<string, LogRecord[]>}
+     */
+    this.buffers = {};
+    /**
+     * The time until which the messages are passed on immediately after
+     * a trigger by logger id.
+     * @type {Object<string, number>}
+     */
+    this.passUntil = {};
+
+    Object.values(Logger.levels).forEach(function (logLevel) {
+        this[logLevel] = function (record) {
+            this._log(record);
+        }.bind(this);
+    }.bind(this));
+}
+
+/**
+ * Passes the record on or buffers it.
+ * @param {LogRecord} record the log record.
+ * @private
+ */
+FingersCrossedTransport.prototype._log = function (record) {
+    var key = record.loggerId || "";
+    var severity = severities[record.level];
+
+    if (severity >= severities[this.triggerLevel]) {
+        this.trigger(record.loggerId, record.timestamp);
+        this.passUntil[key] = record.timestamp + this.after;
+        Logger.sendRecord(this.transport, record);
+    } else if (severity >= severities[this.passLevel] ||
+            record.timestamp <= this.passUntil[key]) {
+        Logger.sendRecord(this.transport, record);
+    } else {
+        var buffer = this.buffers[key] = this.buffers[key] || [];
+
+        buffer.push(record);
+        if (buffer.length > this.bufferSize) {
+            buffer.shift();
+        }
+    }
+};
+
+/**
+ * Passes the buffered records of the given logger id on, e.g. when
+ * the application detects a problem which isn't logged as an error.
+ * @param {string} [loggerId] the id of the logger. If not given the buffers of
+ * all the loggers are passed on.
+ * @param {number} [timestamp] the time of the trigger. Defaults to now.
+ */
+FingersCrossedTransport.prototype.trigger = function (loggerId, timestamp) {
+    var keys = arguments.length ? [ loggerId || "" ] : Object.keys(this.buffers);
+    var minTimestamp = this.before ?
+        (timestamp || Date.now()) - this.before : -Infinity;
+
+    keys.forEach(function (key) {
+        var buffer = this.buffers[key] || [];
+
+        delete this.buffers[key];
+        buffer.forEach(function (record) {
+            if (record.timestamp >= minTimestamp) {
+                Logger.sendRecord(this.transport, record);
+            }
+        }, this);
+    }, this);
+};
+
+/**
+ * Drops the buffered records of all the loggers.
+ */
+FingersCrossedTransport.prototype.clear = function () {
+    this.buffers = {};
+    this.passUntil = {};
+};
+
+module.exports = FingersCrossedTransport;
@@ -0,0 +1,300 @@
+/* Copyright @ 2015-present 8x8, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+var Serializer = require("./Serializer");
+
+/**
+ * The formatter turns {@link LogRecord}s into text.
+ *
+ * @typedef {object} LogFormatter
+ *
+ * @property {function(LogRecord): string} format formats the whole record as
+ * a single line.
+ * @property {function(LogRecord): Array} [formatArguments] optionally formats
+ * the record as console-style arguments, that is a prefix followed by the raw
+ * arguments, so that the objects can still be inspected in the console.
+ */
+
+/**
+ * The options common for the built-in formatters.
+ *
+ * @typedef {object} FormatterOptions
+ *
+ * @property {string} [time] "absolute" for the date and time of the record or
+ * "relative" for the time elapsed since <tt>startTime</tt>. Defaults to
+ * "absolute".
+ * @property {string} [timezone] "utc" or "local" for the absolute time.
+ * Defaults to "utc".
+ * @property {number} [startTime] the time in milliseconds the relative time is
+ * counted from. Defaults to the time of the creation of the formatter.
+ */
+
+/**
+ * The default template of the text formatter which produces the same prefix as
+ * the default console-style arguments.
+ */
+var DEFAULT_TEMPLATE = "{time} [{LEVEL}] [{logger}] [{context}] <{caller}>: {message}";
+
+/**
+ * Pads the given number with leading zeros.
+ * @param {number} n the number.
+ * @param {number} length the length of the result.
+ * @returns {string}
+ */
+function pad(n, length) {
+    var str = String(n);
+    while (str.length < length) {
+        str = "0" + str;
+    }
+    return str;
+}
+
+/**
+ * Formats the given time in the local timezone, e.g.
+ * "2021-03-04T10:20:30.400+01:00".
+ * @param {Date} date the time.
+ * @returns {string}
+ */
+function toLocalISOString(date) {
+    var offset = -date.getTimezoneOffset();
+
+    return date.getFullYear() + "-" + pad(date.getMonth() + 1, 2) + "-" +
+        pad(date.getDate(), 2) + "T" + pad(date.getHours(), 2) + ":" +
+        pad(date.getMinutes(), 2) + ":" + pad(date.getSeconds(), 2) + "." +
+        pad(date.getMilliseconds(), 3) + (offset < 0 ? "-" : "+") +
+        pad(Math.floor(Math.abs(offset) / 60), 2) + ":" +
+        pad(Math.abs(offset) % 60, 2);
+}
+
+/**
+ * Creates the function formatting the time of the records according to
+ * the options.
+ * @param {FormatterOptions} options the formatter options.
+ * @returns {function(number): string}
+ */
+function createTimeFormatter(options) {
+    var startTime = typeof options.startTime === "number" ? options.startTime : Date.now();
+
+    if (options.time === "relative") {
+        return function (timestamp) {
+            return "+" + ((timestamp - startTime) / 1000).toFixed(3) + "s";
+        };
+    }
+    if (options.timezone === "local") {
+        return function (timestamp) {
+            return toLocalISOString(new Date(timestamp));
+        };
+    }
+    return function (timestamp) {
+        return new Date(timestamp).toISOString();
+    };
+}
+
+/**
+ * Converts the raw arguments of the record into a single message.
+ * @param {Array} args the logged arguments.
+ * @returns {string}
+ */
+function formatMessage(args) {
+    return args.map(function (arg) {
+        if (typeof arg === "string") {
+            return arg;
+        }
+        if (arg instanceof Error) {
+            return arg.stack || arg.toString();
+        }
+        if (arg && typeof arg === "object") {
+            return Serializer.serialize(arg);
+        }
+        return String(arg);
+    }).join(" ");
+}
+
+/**
+ * Returns the fields of the record available to the formatters.
+ * @param {LogRecord} record the log record.
+ * @param {function(number): string} formatTime formats the time.
+ * @returns {Object<string, string>}
+ */
+function getFields(record, formatTime) {
+    var callerInfo = record.callerInfo || {};
+    var context = record.context || {};
+
+    return {
+        time: formatTime(record.timestamp),
+        level: record.level,
+        LEVEL: record.level.toUpperCase(),
+        logger: record.loggerId || "",
+        caller: callerInfo.methodName || "",
+        file: callerInfo.fileLocation || "",
+        line: callerInfo.line ? String(callerInfo.line) : "",
+        column: callerInfo.column ? String(callerInfo.column) : "",
+        context: Object.keys(context).map(function (key) {
+            return key + "=" + context[key];
+        }).join(" ")
+    };
+}
+
+/**
+ * Replaces the fields in a part of a text template.
+ * @param {string} part the part of the template.
+ * @param {Object<string, string>} fields the values of the fields.
+ * @returns {string|null} the rendered part or <tt>null</tt> if the part has
+ * fields and all of them are empty.
+ */
+function renderPart(part, fields) {
+    var hasFields = false;
+    var hasValues = false;
+    var rendered = part.replace(/\{(\w+)\}/g, function (match, name) {
+        var value = fields[name] || "";
+
+        hasFields = true;
+        hasValues = hasValues || value.length > 0;
+
+        return value;
+    });
+
+    return !hasFields || hasValues ? rendered : null;
+}
+
+/**
+ * Creates a text formatter which renders the given template. The template is
+ * a list of whitespace separated parts which may contain fields in curly
+ * braces: {time}, {level}, {LEVEL}, {logger}, {caller}, {file}, {line},
+ * {column}, {context} and {message}. The parts whose fields are all empty are omitted,
+ * so that "[{logger}]" disappears for loggers without id.
+ * @param {FormatterOptions} [options] the formatter options.
+ * @param {string} [options.template] the template. Defaults to the same prefix
+ * as the default console-style arguments.
+ * @returns {LogFormatter}
+ */
+function text(options) {
+    var opts = options || {};
+    var formatTime = createTimeFormatter(opts);
+    var parts = (opts.template || DEFAULT_TEMPLATE).split(/\s+/);
+
+    var render = function (record, withMessage) {
+        var fields = getFields(record, formatTime);
+        var rendered = [];
+
+        if (withMessage) {
+            fields.message = formatMessage(record.args);
+        }
+        for (var i = 0; i < parts.length; i++) {
+            if (!withMessage && parts[i].indexOf("{message}") !== -1) {
+                break;
+            }
+            var part = renderPart(parts[i], fields);
+            if (part !== null) {
+                rendered.push(part);
+            }
+        }
+
+        return rendered.join(" ");
+    };
+
+    return {
+        format: function (record) {
+            return render(record, true);
+        },
+        formatArguments: function (record) {
+            return [ render(record, false) ].concat(record.args);
+        }
+    };
+}
+
+/**
+ * Creates a formatter producing a JSON object per line with the time, level,
+ * logger, caller, file, line, column, message and context fields.
+ * @param {FormatterOptions} [options] the formatter options.
+ * @returns {LogFormatter}
+ */
+function jsonLines(options) {
+    var formatTime = createTimeFormatter(options || {});
+
+    return {
+        format: function (record) {
+            var callerInfo = record.callerInfo || {};
+            var line = {
+                time: formatTime(record.timestamp),
+                level: record.level,
+                logger: record.loggerId,
+                caller: callerInfo.methodName || undefined,
+                file: callerInfo.fileLocation || undefined,
+                line: callerInfo.line ? Number(callerInfo.line) : undefined,
+                column: callerInfo.column ? Number(callerInfo.column) : undefined,
+                message: formatMessage(record.args),
+                context: record.context && Object.keys(record.context).length ?
+                    Serializer.toSerializable(record.context) : undefined
+            };
+
+            return JSON.stringify(line);
+        }
+    };
+}
+
+/**
+ * Formats a value for logfmt, quoting it if needed.
+ * @param {*} value the value.
+ * @returns {string}
+ */
+function logfmtValue(value) {
+    var str = typeof value === "string" ? value : Serializer.serialize(value);
+
+    if (str === "" || /[\s"=\\]/.test(str)) {
+        return "\"" + str.replace(/\\/g, "\\\\").replace(/"/g, "\\\"")
+            .replace(/\n/g, "\\n").replace(/\r/g, "\\r").replace(/\t/g, "\\t") + "\"";
+    }
+    return str;
+}
+
+/**
+ * Creates a formatter producing logfmt lines, e.g.
+ * <tt>time=... level=info logger=xmpp msg="joined" room=abc</tt>. The context
+ * fields are appended as separate keys.
+ * @param {FormatterOptions} [options] the formatter options.
+ * @returns {LogFormatter}
+ */
+function logfmt(options) {
+    var formatTime = createTimeFormatter(options || {});
+
+    return {
+        format: function (record) {
+            var fields = getFields(record, formatTime);
+            var pairs = [
+                "time=" + logfmtValue(fields.time),
+                "level=" + fields.level
+            ];
+
+            if (fields.logger) {
+                pairs.push("logger=" + logfmtValue(fields.logger));
+            }
+            if (fields.caller) {
+                pairs.push("caller=" + logfmtValue(fields.caller));
+            }
+            pairs.push("msg=" + logfmtValue(formatMessage(record.args)));
+            Object.keys(record.context || {}).forEach(function (key) {
+                pairs.push(key.replace(/[\s"=]/g, "_") + "=" + logfmtValue(record.context[key]));
+            });
+
+            return pairs.join(" ");
+        }
+    };
+}
+
+module.exports = {
+    text: text,
+    jsonLines: jsonLines,
+    logfmt: logfmt
+};
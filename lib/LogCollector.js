@@ -13,6 +13,62 @@
  * limitations under the License.
  */
 var Logger = require('./Logger.js');
+var Redactor = require('./Redactor.js');
+var Serializer = require('./Serializer.js');
+
+/**
+ * The default scheduler using the timer functions of the current environment.
+ * The functions are wrapped, because some environments require them to be
+ * called on the global object. The timers don't keep a Node process alive, so
+ * that it exits and emits "beforeExit" when it has nothing else to do.
+ */
+var defaultScheduler = {
+    setTimeout: function (callback, delay) {
+        var timeoutID = setTimeout(callback, delay);
+
+        if (timeoutID && typeof timeoutID.unref === 'function') {
+            timeoutID.unref();
+        }
+
+        return timeoutID;
+    },
+    clearTimeout: function (timeoutID) {
+        clearTimeout(timeoutID);
+    }
+};
+
+/**
+ * Returns the given encoding if it can be used in the current environment or
+ * "identity" if neither the <tt>CompressionStream</tt> nor <tt>zlib</tt> is
+ * available, e.g. in the older browsers.
+ * @param {string} encoding "gzip", "deflate" or "identity".
+ * @returns {string}
+ */
+function getSupportedEncoding(encoding) {
+    if (encoding === 'identity' || typeof CompressionStream !== 'undefined') {
+        return encoding;
+    }
+    try {
+        // module.require keeps zlib out of the browser bundles.
+        module.require('zlib');
+
+        return encoding;
+    } catch (error) {
+        return 'identity';
+    }
+}
+
+/**
+ * Checks whether the given argument of a log method is a <tt>LogRecord</tt>
+ * passed by the <tt>Logger</tt>.
+ * @param {*} value the argument.
+ * @returns {boolean}
+ */
+function isLogRecord(value) {
+    return Boolean(value) && typeof value === 'object' &&
+        typeof value.level === 'string' && typeof value.timestamp === 'number' &&
+        Array.isArray(value.args);
+}
 
 /**
  * Creates new <tt>LogCollector</tt>. Class implements <tt>LoggerTransport</tt>
@@ -26,8 +82,11 @@ var Logger = require('./Logger.js');
  * the batch log entry.
  *
  * @param {Object} logStorage an object which allows to store the logs collected
- * @param {function(string|object[])} logStorage.storeLogs a method called when
- * this <tt>LogCollector</tt> requests log entry storage. The method's argument
+ * @param {function(string|object[]|object)} logStorage.storeLogs a method called when
+ * this <tt>LogCollector</tt> requests log entry storage. It may return
+ * a <tt>Promise</tt> in which case the next batch is stored after it resolves.
+ * If it throws or the <tt>Promise</tt> rejects the batch is retried with
+ * an exponential backoff. The method's argument
  * is an array which can contain <tt>string</tt>s and <tt>object</tt>s. If given
  * item is an object it means that it's an aggregated message. That is a message
  * which is the same as the previous one and it's representation has
@@ -35,10 +94,21 @@ var Logger = require('./Logger.js');
  * {
  *   {string} text: 'the text of some duplicated message'
  *   {number} count: 3 // how many times the message appeared in a row
+ *   {string} level: the log level of the message
+ *   {object} [context]: the fields bound to the logger, if there are any
  * }
+ * When logs are dropped, because of the cache limits or failures to store
+ * them, the next batch starts with an entry reporting the number of dropped
+ * messages per level. The entry has a <tt>dropped</tt> field with
+ * the <tt>counts</tt> by level and the <tt>firstTimestamp</tt> and
+ * the <tt>lastTimestamp</tt> of the dropped messages.
  * If a message "B" after an aggregated message "A" is different, then it breaks
  * the sequence of "A". Which means that even if the next message "C" is
  * the same as "A" it will start a new aggregated message "C".
+ * @param {function(object[])} [logStorage.storeLogsSync] an optional method
+ * called with the final batch when the <tt>flushOnExit</tt> option is enabled.
+ * It has to hand the logs over synchronously, e.g. with
+ * <tt>navigator.sendBeacon</tt>.
  * @param {function()} logStorage.isReady a method which should return
  * a <tt>boolean</tt> to tell the collector that it's ready to store. During the
  * time storage is not ready log batches will be cached and stored on the next
@@ -51,12 +121,90 @@ var Logger = require('./Logger.js');
  * returns <tt>true</tt>. Otherwise the log entry will be cached until the log
  * storage becomes ready. Note that the "is ready" condition is checked every
  * <tt>options.storeInterval</tt> milliseconds.
+ * @param {RedactionRules} options.redaction the rules for masking sensitive
+ * data in the messages, applied by {@link formatLogMessage} and
+ * {@link stringify} in addition to the redaction done by the loggers.
  * @param {number} options.storeInterval how often the logs should be stored in
  * case <tt>maxEntryLength</tt> was not exceeded.
  * @param {boolean} options.stringifyObjects indicates whether or not object
- * arguments should be "stringified" with <tt>JSON.stringify</tt> when a log
- * message is composed. Note that objects logged on the error log level are
- * always stringified.
+ * arguments should be "stringified" with {@link stringify} when a log message
+ * is composed. Note that <tt>Error</tt> arguments are always stringified.
+ * @param {SerializerOptions} options.serializer the depth, array length and
+ * string length limits of {@link stringify}.
+ * @param {LogFormatter} options.formatter the formatter of the messages, e.g.
+ * the JSON lines formatter, used instead of {@link formatLogMessage}.
+ * @param {LogPersistence} options.persistence optional persistence layer which
+ * keeps the batches not stored yet, so that they survive a reload or a crash.
+ * The batches persisted by the previous session are loaded when
+ * the <tt>LogCollector</tt> starts and stored as soon as the storage is ready.
+ * The logged messages are persisted at most once per
+ * <tt>persistInterval</tt> and whenever the logs are flushed.
+ * @param {number} options.persistInterval the min time in milliseconds between
+ * persisting the logged messages. Defaults to 1000.
+ * @param {number} options.maxStoreAttempts how many times a batch is tried to
+ * be stored before it's dropped. Defaults to 5.
+ * @param {number} options.retryBaseDelay the delay in milliseconds before
+ * the first retry. Every next retry doubles the delay. A random jitter of up
+ * to a half of the delay is applied. Defaults to 1000.
+ * @param {number} options.retryMaxDelay the max delay between the retries in
+ * milliseconds. Defaults to 60000.
+ * @param {number} options.maxRetainedBytes the max total length of
+ * the messages in the batches waiting to be stored. Logs are dropped according
+ * to <tt>overflowPolicy</tt> when it's exceeded. Defaults to 1000000.
+ * @param {number} options.maxCachedBatches the max number of batches waiting
+ * to be stored. Logs are dropped according to <tt>overflowPolicy</tt> when
+ * it's exceeded. Defaults to 100.
+ * @param {boolean} options.flushOnExit if <tt>true</tt> the logs will be
+ * flushed for the last time when the page gets hidden or unloaded in browsers
+ * and when the process exits in Node. The final batch is passed to the optional
+ * <tt>logStorage.storeLogsSync</tt>, because asynchronous work may not complete
+ * at that time. Without it the logs are stored asynchronously on
+ * <tt>SIGINT</tt>/<tt>SIGTERM</tt>, waiting up to <tt>exitFlushTimeout</tt>
+ * before the signal is raised again, but they're lost on <tt>exit</tt>, e.g.
+ * after <tt>process.exit()</tt> or an uncaught exception, so Node needs
+ * <tt>logStorage.storeLogsSync</tt> in order to store them in all the cases.
+ * @param {number} options.exitFlushTimeout the max time in milliseconds to
+ * wait for the logs to be stored on a signal when
+ * <tt>logStorage.storeLogsSync</tt> is not implemented. Defaults to 5000.
+ * @param {Object} options.scheduler the object with the <tt>setTimeout</tt> and
+ * <tt>clearTimeout</tt> functions used to schedule the store tasks and
+ * the retries. Defaults to the timer functions of the environment, so that
+ * the collector works in browsers, workers, Node and React Native. A custom
+ * scheduler allows to drive the time in tests.
+ * @param {function(): number} options.now the clock returning the current time
+ * in milliseconds. Defaults to <tt>Date.now</tt>.
+ * @param {string} options.overflowPolicy one of
+ * {@link LogCollector.overflowPolicies} which tells which logs are dropped
+ * when the cache limits are exceeded. Defaults to dropping the oldest batches.
+ * @param {Object} options.aggregation enables the aggregation of the repeated
+ * messages within a time window regardless of the messages logged in between.
+ * The aggregated entry has the <tt>text</tt> of the first message,
+ * the <tt>count</tt> and the <tt>firstTimestamp</tt> and
+ * the <tt>lastTimestamp</tt> of the messages. Without it only the messages
+ * repeated in a row are aggregated.
+ * @param {number} options.aggregation.window the time window in milliseconds
+ * counted from the first message of an aggregated entry. The entries are also
+ * closed when the batch is flushed.
+ * @param {boolean|function(string): string} options.aggregation.normalize
+ * <tt>true</tt> in order to aggregate the messages which differ only in
+ * numbers and ids or a function returning the template of a message by which
+ * the messages are aggregated. The function is called with the formatted
+ * arguments of the message without the prefix.
+ * @param {number} options.maxBatchBytes the max size in bytes of the JSON of
+ * a batch. The batches are split into several ones in order not to exceed it.
+ * The text of a single entry which exceeds it is truncated. Not limited by
+ * default. The final batch passed to <tt>logStorage.storeLogsSync</tt> is not
+ * split.
+ * @param {string} options.compression "gzip" or "deflate" in order to pass
+ * the compressed JSON of the batches to <tt>logStorage.storeLogs</tt> or
+ * "identity" for the JSON as it is. The <tt>CompressionStream</tt> is used in
+ * browsers and <tt>zlib</tt> in Node. Where neither is available the JSON is
+ * passed as it is with the "identity" encoding. <tt>logStorage.storeLogs</tt>
+ * is then called with an object with the <tt>seq</tt> number of the batch,
+ * the <tt>batchId</tt>, the <tt>encoding</tt>, the <tt>originalSize</tt> of
+ * the JSON in bytes and the <tt>data</tt>, so that the server can detect
+ * the missing batches and reorder them. A retried batch keeps its
+ * <tt>seq</tt> and <tt>batchId</tt>.
  *
  * @constructor
  */
@@ -65,13 +213,45 @@ function LogCollector(logStorage, options) {
     this.stringifyObjects = options && options.stringifyObjects ? options.stringifyObjects : false;
     this.storeInterval = options && options.storeInterval ? options.storeInterval: 30000;
     this.maxEntryLength = options && options.maxEntryLength ? options.maxEntryLength : 10000;
+    this.redaction = options && options.redaction ? options.redaction : null;
+    this.serializerOptions = options && options.serializer ? options.serializer : undefined;
+    this.formatter = options && options.formatter ? options.formatter : null;
+    this.persistence = options && options.persistence ? options.persistence : null;
+    this.persistInterval = options && options.persistInterval ? options.persistInterval : 1000;
+    this.maxStoreAttempts = options && options.maxStoreAttempts ? options.maxStoreAttempts : 5;
+    this.retryBaseDelay = options && options.retryBaseDelay ? options.retryBaseDelay : 1000;
+    this.retryMaxDelay = options && options.retryMaxDelay ? options.retryMaxDelay : 60000;
+    this.maxRetainedBytes = options && options.maxRetainedBytes ? options.maxRetainedBytes : 1000000;
+    this.maxCachedBatches = options && options.maxCachedBatches ? options.maxCachedBatches : 100;
+    this.overflowPolicy = options && options.overflowPolicy ?
+        options.overflowPolicy : LogCollector.overflowPolicies.DROP_OLDEST;
+    this.flushOnExit = options && options.flushOnExit ? options.flushOnExit : false;
+    this.exitFlushTimeout = options && options.exitFlushTimeout ? options.exitFlushTimeout : 5000;
+    this.scheduler = options && options.scheduler ? options.scheduler : defaultScheduler;
+    this.now = options && options.now ? options.now : Date.now;
+    this.aggregation = options && options.aggregation ? options.aggregation : null;
+    this.maxBatchBytes = options && options.maxBatchBytes ? options.maxBatchBytes : 0;
+    this.compression = options && options.compression ?
+        getSupportedEncoding(options.compression) : null;
+    /**
+     * Tells the <tt>Logger</tt> to call the log methods with
+     * <tt>LogRecord</tt>s in order to have the context of the messages.
+     * @type {boolean}
+     */
+    this.acceptsRecords = true;
     // Bind the log method for each level to the corresponding method name
     // in order to implement "global log transport" object.
     Object.values(Logger.levels).forEach(
     function (logLevel) {
-        this[logLevel] = function () {
-            this._log.apply(this, arguments);
-        }.bind(this, logLevel);
+        this[logLevel] = function (record) {
+            if (arguments.length === 1 && isLogRecord(record)) {
+                this._log(record);
+            } else {
+                // The positional arguments of the direct calls, e.g.
+                // collector.info(timestamp, '[INFO]', 'message').
+                this._logArguments(logLevel, Array.prototype.slice.call(arguments));
+            }
+        }.bind(this);
     }.bind(this));
     /**
      * The ID of store logs interval if one is currently scheduled or
@@ -85,6 +265,12 @@ function LogCollector(logStorage, options) {
      * @type {string[]}
      */
     this.queue = [];
+    /**
+     * The aggregated entries of the {@link queue} by the text or the template
+     * of their messages, used when the <tt>aggregation</tt> option is set.
+     * @type {Object<string, {entry: Object, firstTime: number}>}
+     */
+    this.aggregates = {};
     /**
      * The total length of all messages currently stored in the {@link queue}.
      * @type {number}
@@ -96,25 +282,134 @@ function LogCollector(logStorage, options) {
      * @type {string[]}
      */
     this.outputCache = [];
+    /**
+     * The number of consecutive failed attempts to store the first batch in
+     * the {@link outputCache}.
+     * @type {number}
+     */
+    this.storeAttempts = 0;
+    /**
+     * The ID of the timeout scheduled to retry storing the logs or
+     * <tt>null</tt> if there is no retry pending.
+     * @type {number|null}
+     */
+    this.retryTimeoutID = null;
+    /**
+     * The ID of the timeout scheduled to persist the logged messages or
+     * <tt>null</tt> if there is none pending.
+     * @type {number|null}
+     */
+    this.persistTimeoutID = null;
+    /**
+     * Whether a <tt>Promise</tt> returned by <tt>logStorage.storeLogs</tt>
+     * is pending.
+     * @type {boolean}
+     */
+    this._storing = false;
+    /**
+     * The accounting of the logs dropped since the last report or
+     * <tt>null</tt> if none have been dropped.
+     * @type {Object|null}
+     */
+    this.droppedStats = null;
+    /**
+     * The callbacks waiting for the {@link outputCache} to be drained.
+     * @type {function(boolean)[]}
+     */
+    this._drainListeners = [];
+    /**
+     * The listeners added in order to flush the logs on exit or
+     * <tt>null</tt>.
+     * @type {Object[]|null}
+     */
+    this._exitListeners = null;
+    /**
+     * The listeners of the {@link LogCollector.events} by event name.
+     * @type {Object<string, function[]>}
+     */
+    this._listeners = {};
+    /**
+     * The id of this collector which prefixes the ids of the batches.
+     * @type {string}
+     */
+    this.collectorId = Date.now().toString(36) + Math.random().toString(36).substr(2, 8);
+    /**
+     * The sequence number of the next batch passed to
+     * <tt>logStorage.storeLogs</tt>.
+     * @type {number}
+     */
+    this.nextSeq = 0;
+    /**
+     * The sequence numbers of the batches by batch, so that the retried
+     * batches keep them.
+     * @type {WeakMap<Object[], number>}
+     */
+    this._batchSeqs = new WeakMap();
 }
 
+/**
+ * The events emitted by the <tt>LogCollector</tt>. The listeners are called
+ * with an object carrying the <tt>logs</tt> batch and the event's details.
+ */
+LogCollector.events = {
+    /**
+     * A batch has been stored successfully.
+     */
+    STORED: 'stored',
+    /**
+     * A batch failed to be stored and will be retried. The details include
+     * the <tt>attempt</tt> number, the <tt>delay</tt> of the retry in
+     * milliseconds and the <tt>error</tt>.
+     */
+    RETRYING: 'retrying',
+    /**
+     * Logs have been dropped. The <tt>reason</tt> is either "attempts" when
+     * the batch failed to be stored <tt>maxStoreAttempts</tt> times or
+     * "overflow" when the cache limits have been exceeded.
+     */
+    DROPPED: 'dropped'
+};
+
+/**
+ * The policies which tell which logs are dropped when the limits of
+ * the batches waiting to be stored are exceeded.
+ */
+LogCollector.overflowPolicies = {
+    /**
+     * Drops the oldest batches.
+     */
+    DROP_OLDEST: 'drop-oldest',
+    /**
+     * Drops the newest batches.
+     */
+    DROP_NEWEST: 'drop-newest',
+    /**
+     * Drops the messages with the lowest log level first.
+     */
+    DROP_LOWEST_SEVERITY: 'drop-lowest-severity'
+};
+
 /**
  * Method called inside of {@link formatLogMessage} in order to covert an
  * <tt>Object</tt> argument to string. The conversion will happen when either
- * 'stringifyObjects' option is enabled or on the {@link Logger.levels.ERROR}
- * log level. The default implementation uses <tt>JSON.stringify</tt> and
- * returns "[object with circular refs?]" instead of an object if it fails.
+ * 'stringifyObjects' option is enabled or the argument is an <tt>Error</tt>.
+ * The default implementation uses the safe serializer which handles circular
+ * references, <tt>Map</tt>s, <tt>Set</tt>s, <tt>Error</tt>s and the other
+ * special objects within the limits given by the <tt>serializer</tt> option.
+ * The <tt>redaction</tt> rules are applied to the object first.
  *
  * @param {object} someObject the <tt>object</tt> to be stringified.
  *
- * @return {string} the result of <tt>JSON.stringify</tt> or
+ * @return {string} the JSON representation of the object or
  * "[object with circular refs?]" if any error occurs during "stringification".
  *
  * @protected
  */
 LogCollector.prototype.stringify = function (someObject) {
     try {
-        return JSON.stringify(someObject);
+        return Serializer.serialize(
+            this.redaction ? Redactor.redact(someObject, this.redaction) : someObject,
+            this.serializerOptions);
     } catch (error) {
         return '[object with circular refs?]';
     }
@@ -141,16 +436,16 @@ logLevel /* timestamp, arg2, arg3, arg4... */) { // jshint ignore:line
     for (var i = 1, len = arguments.length; i < len; i++) {
         var arg = arguments[i];
 
+        if (this.redaction && typeof arg === 'string') {
+            arg = Redactor.redact(arg, this.redaction);
+        }
+
         if (arg instanceof Error) {
-            msg += arg.toString() + ': ' + arg.stack;
+            msg += this.stringify(arg);
         } else if (this.stringifyObjects && typeof arg === 'object') {
         // NOTE: We were trying to stringify all error logs before but because of a bug that we were getting the keys
         // of the log levels which are all with upper case and comparing it with the keys which are all lower case we
         // were never actually strinfying the error logs. That's why I've removed the check for error logs here.
-        // NOTE: The non-enumerable properties of the objects wouldn't be included in the string after JSON.strigify.
-        // For example Map instance will be translated to '{}'. So I think we have to eventually do something better
-        // for parsing the arguments. But since this option for strigify is part of the public interface and I think
-        // it could be useful in some cases I will it for now.
             msg += this.stringify(arg);
         } else {
             msg += arg;
@@ -166,40 +461,239 @@ logLevel /* timestamp, arg2, arg3, arg4... */) { // jshint ignore:line
  * The log method bound to each of the logging levels in order to implement
  * "global log transport" object.
  *
+ * @param {LogRecord} record the record of the logged message.
  * @private
  */
-LogCollector.prototype._log = function() {
+LogCollector.prototype._log = function(record) {
+    var msg;
+    if (this.redaction) {
+        // The keys are masked only in the arguments and the context, because
+        // the formatted message is a string.
+        record = Object.assign({}, record, {
+            args: Redactor.redact(record.args, this.redaction),
+            context: Redactor.redact(record.context, this.redaction)
+        });
+    }
+    if (this.formatter) {
+        msg = this.formatter.format(record);
+        if (this.redaction) {
+            msg = Redactor.redact(msg, this.redaction);
+        }
+    } else {
+        msg = this.formatLogMessage.apply(
+            this, [ record.level ].concat(Logger.getLogArguments(record)));
+    }
+    this._addMessage(msg, record);
+};
 
-    // var logLevel = arguments[0]; first argument is the log level
-    var timestamp = arguments[1];
-    var msg = this.formatLogMessage.apply(this, arguments);
-    if (msg) {
+/**
+ * Logs the positional arguments of a log method called directly instead of
+ * by the <tt>Logger</tt>, formatted by {@link formatLogMessage} as they are.
+ *
+ * @param {string} level the log level.
+ * @param {Array} args the logged arguments.
+ * @private
+ */
+LogCollector.prototype._logArguments = function(level, args) {
+    this._addMessage(this.formatLogMessage.apply(this, [ level ].concat(args)), {
+        level: level,
+        loggerId: null,
+        timestamp: this.now(),
+        callerInfo: null,
+        args: args,
+        context: {}
+    });
+};
+
+/**
+ * Adds the formatted message to the {@link queue} and flushes it if it's
+ * full.
+ *
+ * @param {string|null} msg the formatted message or <tt>null</tt> if it's to
+ * be discarded.
+ * @param {LogRecord} record the record of the logged message.
+ * @private
+ */
+LogCollector.prototype._addMessage = function(msg, record) {
+    var timestamp = new Date(record.timestamp).toISOString();
+
+    if (msg && this.aggregation) {
+        this._aggregate(msg, record);
+    } else if (msg) {
         // The same as the previous message aggregation logic
         var prevMessage = this.queue[this.queue.length - 1];
         var prevMessageText = prevMessage && prevMessage.text;
         if (prevMessageText === msg) {
             prevMessage.count += 1;
         } else {
-            this.queue.push({
+            var entry = {
                 text: msg,
                 timestamp: timestamp,
-                count: 1
-            });
+                count: 1,
+                level: record.level
+            };
+            // The copy can be stringified even if the context contains
+            // circular references or BigInts and it's not changed later.
+            if (Object.keys(record.context).length) {
+                entry.context = Serializer.toSerializable(record.context);
+            }
+            this.queue.push(entry);
             this.totalLen += msg.length;
         }
     }
 
     if (this.totalLen >= this.maxEntryLength) {
         this._flush(true /* force */, true /* reschedule */);
+    } else if (msg && this.persistence) {
+        this._schedulePersistLogs();
     }
 };
 
+/**
+ * Returns the template of the message with the UUIDs, the hexadecimal ids and
+ * the numbers masked, so that e.g. the periodic messages with counters are
+ * aggregated.
+ * @param {string} msg the message.
+ * @returns {string}
+ */
+function normalizeMessage(msg) {
+    return msg
+        .replace(/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, '<uuid>')
+        .replace(/\b(?=[0-9a-f]*\d)(?=[0-9a-f]*[a-f])[0-9a-f]{6,}\b/gi, '<id>')
+        .replace(/\d+(?:\.\d+)?/g, '<n>');
+}
+
+/**
+ * Adds the message to the aggregated entry of the same message within
+ * the aggregation window or starts a new one. The messages are the same if
+ * they have the same level, logger id and arguments. The formatted message
+ * is used only as the text of the entry, because its prefix contains
+ * the timestamp.
+ * @param {string} msg the formatted message.
+ * @param {LogRecord} record the record of the logged message.
+ * @private
+ */
+LogCollector.prototype._aggregate = function(msg, record) {
+    var normalize = this.aggregation.normalize;
+    var argsMsg = this.formatLogMessage.apply(
+        this, [ record.level ].concat(record.args)) || '';
+    var key = record.level + ' ' + (record.loggerId || '') + ' ' +
+        (typeof normalize === 'function' ?
+            normalize(argsMsg) : normalize ? normalizeMessage(argsMsg) : argsMsg);
+    var timestamp = new Date(record.timestamp).toISOString();
+    var aggregate = this.aggregates[key];
+
+    if (aggregate &&
+            record.timestamp - aggregate.firstTime < (this.aggregation.window || Infinity)) {
+        aggregate.entry.count += 1;
+        aggregate.entry.lastTimestamp = timestamp;
+        return;
+    }
+
+    var entry = {
+        text: msg,
+        timestamp: timestamp,
+        count: 1,
+        level: record.level,
+        firstTimestamp: timestamp,
+        lastTimestamp: timestamp
+    };
+    if (Object.keys(record.context).length) {
+        entry.context = Serializer.toSerializable(record.context);
+    }
+    this.aggregates[key] = {
+        entry: entry,
+        firstTime: record.timestamp
+    };
+    this.queue.push(entry);
+    this.totalLen += msg.length;
+};
+
 /**
  * Starts periodical "store logs" task which will be triggered at the interval
  * specified in the constructor options.
  */
 LogCollector.prototype.start = function () {
     this._reschedulePublishInterval();
+    if (this.flushOnExit) {
+        this._addExitListeners();
+    }
+    if (this.persistence) {
+        this._loadPersistedLogs();
+    }
+};
+
+/**
+ * Loads the batches persisted by the previous session and puts them in front
+ * of the {@link outputCache}, so that they're stored first.
+ * @private
+ */
+LogCollector.prototype._loadPersistedLogs = function () {
+    var onError = function (error) {
+        console.error('LogCollector error when loading the persisted logs: ', error);
+    };
+
+    try {
+        Promise.resolve(this.persistence.load()).then(
+            function (batches) {
+                if (batches && batches.length) {
+                    this.outputCache = batches.concat(this.outputCache);
+                    this._persistLogs();
+                }
+            }.bind(this),
+            onError);
+    } catch (error) {
+        onError(error);
+    }
+};
+
+/**
+ * Saves the snapshot of the batches which have not been stored yet, including
+ * the current queue, using the persistence layer.
+ * @private
+ */
+LogCollector.prototype._persistLogs = function () {
+    this._cancelPersistLogs();
+
+    var batches = this.queue.length ? this.outputCache.concat([ this.queue ]) : this.outputCache;
+    var onError = function (error) {
+        console.error('LogCollector error when persisting the logs: ', error);
+    };
+
+    try {
+        var result = this.persistence.save(batches);
+        if (result && typeof result.then === 'function') {
+            result.then(null, onError);
+        }
+    } catch (error) {
+        onError(error);
+    }
+};
+
+/**
+ * Schedules persisting the logs unless it's already scheduled, so that
+ * the logged messages survive a crash without persisting on every message.
+ * @private
+ */
+LogCollector.prototype._schedulePersistLogs = function () {
+    if (this.persistTimeoutID) {
+        return;
+    }
+    this.persistTimeoutID = this.scheduler.setTimeout(function () {
+        this.persistTimeoutID = null;
+        this._persistLogs();
+    }.bind(this), this.persistInterval);
+};
+
+/**
+ * Cancels persisting the logs scheduled with {@link _schedulePersistLogs}.
+ * @private
+ */
+LogCollector.prototype._cancelPersistLogs = function () {
+    if (this.persistTimeoutID) {
+        this.scheduler.clearTimeout(this.persistTimeoutID);
+        this.persistTimeoutID = null;
+    }
 };
 
 /**
@@ -209,11 +703,11 @@ LogCollector.prototype.start = function () {
  */
 LogCollector.prototype._reschedulePublishInterval = function () {
     if (this.storeLogsIntervalID) {
-        window.clearTimeout(this.storeLogsIntervalID);
+        this.scheduler.clearTimeout(this.storeLogsIntervalID);
         this.storeLogsIntervalID = null;
     }
     // It's actually a timeout, because it is rescheduled on every flush
-    this.storeLogsIntervalID = window.setTimeout(
+    this.storeLogsIntervalID = this.scheduler.setTimeout(
         this._flush.bind(
             this, false /* do not force */, true /* reschedule */),
         this.storeInterval);
@@ -222,24 +716,726 @@ LogCollector.prototype._reschedulePublishInterval = function () {
 /**
  * Call this method to flush the log entry buffer and store it in the log
  * storage immediately (given that the storage is ready).
+ * @param {number} [timeout] the max time in milliseconds to wait for
+ * the logs to be stored.
+ * @returns {Promise<boolean>} resolves with <tt>true</tt> when all the logs,
+ * including the cached batches, have been stored or dropped. Resolves with
+ * <tt>false</tt> if the storage is not ready or the timeout expires first,
+ * in which case the logs not stored remain cached.
  */
-LogCollector.prototype.flush = function() {
+LogCollector.prototype.flush = function(timeout) {
     this._flush(
         false /* do not force, as it will not be stored anyway */,
         true /* reschedule next update */ );
+
+    return this._waitForStoredLogs(timeout);
+};
+
+/**
+ * Waits until the {@link outputCache} is drained.
+ * @param {number} [timeout] the max time in milliseconds to wait.
+ * @returns {Promise<boolean>} see {@link flush}.
+ * @private
+ */
+LogCollector.prototype._waitForStoredLogs = function (timeout) {
+    if (!this.outputCache.length && !this._storing && !this.queue.length) {
+        return Promise.resolve(true);
+    }
+
+    var logStorageReady = false;
+    try {
+        logStorageReady = this.logStorage.isReady();
+    } catch (error) {
+        console.error('LogCollector error when calling logStorage.isReady(): ', error);
+    }
+    if (!logStorageReady) {
+        return Promise.resolve(false);
+    }
+
+    return new Promise(function (resolve) {
+        var timeoutID = null;
+        var listener = function (drained) {
+            if (timeoutID) {
+                this.scheduler.clearTimeout(timeoutID);
+            }
+            resolve(drained);
+        }.bind(this);
+
+        this._drainListeners.push(listener);
+        if (timeout) {
+            timeoutID = this.scheduler.setTimeout(function () {
+                var listenerIdx = this._drainListeners.indexOf(listener);
+                if (listenerIdx !== -1) {
+                    this._drainListeners.splice(listenerIdx, 1);
+                }
+                resolve(false);
+            }.bind(this), timeout);
+        }
+    }.bind(this));
+};
+
+/**
+ * Stores all the logs which have not been stored yet synchronously. Called
+ * when the page is hidden or the process exits, when asynchronous work may not
+ * complete. The logs are merged into a single final batch and passed to
+ * <tt>logStorage.storeLogsSync</tt> if the storage implements it (e.g. with
+ * <tt>navigator.sendBeacon</tt>). Otherwise an asynchronous flush is started
+ * as the best effort.
+ * @private
+ */
+LogCollector.prototype._flushSync = function () {
+    if (typeof this.logStorage.storeLogsSync !== 'function') {
+        this.flush();
+        return;
+    }
+
+    var droppedLogsEntry = this._takeDroppedLogsEntry();
+    var finalBatch = (droppedLogsEntry ? [ droppedLogsEntry ] : []).concat(
+        Array.prototype.concat.apply([], this.outputCache),
+        this.queue);
+
+    if (!finalBatch.length) {
+        return;
+    }
+
+    try {
+        this.logStorage.storeLogsSync(finalBatch);
+    } catch (error) {
+        console.error('LogCollector error when calling logStorage.storeLogsSync(): ', error);
+        return;
+    }
+
+    this.outputCache = [];
+    this.queue = [];
+    this.aggregates = {};
+    this.totalLen = 0;
+    if (this.persistence) {
+        this._persistLogs();
+    }
+    this._emit(LogCollector.events.STORED, { logs: finalBatch });
+};
+
+/**
+ * Adds the listeners which perform the last flush when the page gets hidden or
+ * unloaded in browsers and when the process exits in Node.
+ * @private
+ */
+LogCollector.prototype._addExitListeners = function () {
+    if (this._exitListeners) {
+        return;
+    }
+
+    var flushSync = this._flushSync.bind(this);
+    var listeners = this._exitListeners = [];
+
+    if (typeof window !== 'undefined' && typeof window.addEventListener === 'function') {
+        listeners.push({
+            target: window,
+            event: 'pagehide',
+            listener: flushSync
+        });
+        listeners.push({
+            target: window,
+            event: 'visibilitychange',
+            listener: function () {
+                if (window.document && window.document.visibilityState === 'hidden') {
+                    flushSync();
+                }
+            }
+        });
+        listeners.forEach(function (l) {
+            l.target.addEventListener(l.event, l.listener);
+        });
+    } else if (typeof process !== 'undefined' && typeof process.on === 'function') {
+        // The event loop is still running on "beforeExit", so the logs can be
+        // stored asynchronously.
+        listeners.push({
+            target: process,
+            event: 'beforeExit',
+            listener: function () {
+                this.flush();
+            }.bind(this)
+        });
+        listeners.push({
+            target: process,
+            event: 'exit',
+            listener: flushSync
+        });
+        [ 'SIGINT', 'SIGTERM' ].forEach(function (signal) {
+            // Listening for a signal prevents the default exit, so raise it
+            // again unless someone else handles it.
+            var raiseSignal = function () {
+                if (!process.listenerCount(signal)) {
+                    process.kill(process.pid, signal);
+                }
+            };
+            var onSignal = function () {
+                // A repeated signal exits right away.
+                process.removeListener(signal, onSignal);
+                if (typeof this.logStorage.storeLogsSync === 'function') {
+                    flushSync();
+                    raiseSignal();
+                } else {
+                    // The event loop is still running, so the logs can be
+                    // stored asynchronously.
+                    this.flush(this.exitFlushTimeout).then(raiseSignal, raiseSignal);
+                }
+            }.bind(this);
+            listeners.push({
+                target: process,
+                event: signal,
+                listener: onSignal
+            });
+        }, this);
+        listeners.forEach(function (l) {
+            l.target.on(l.event, l.listener);
+        });
+    }
+};
+
+/**
+ * Removes the listeners added by {@link _addExitListeners}.
+ * @private
+ */
+LogCollector.prototype._removeExitListeners = function () {
+    (this._exitListeners || []).forEach(function (l) {
+        if (typeof l.target.removeEventListener === 'function') {
+            l.target.removeEventListener(l.event, l.listener);
+        } else {
+            l.target.removeListener(l.event, l.listener);
+        }
+    });
+    this._exitListeners = null;
+};
+
+/**
+ * Returns the size of the given batch as the total length of its messages.
+ * @param {Object[]} batch the log batch.
+ * @returns {number}
+ */
+function getBatchSize(batch) {
+    return batch.reduce(function (size, entry) {
+        return size + (entry.text ? entry.text.length : 0);
+    }, 0);
+}
+
+/**
+ * Returns the length of the given string in bytes when it's encoded as UTF-8.
+ * @param {string} str the string.
+ * @returns {number}
+ */
+function getByteLength(str) {
+    if (typeof TextEncoder !== 'undefined') {
+        return new TextEncoder().encode(str).length;
+    }
+    return encodeURIComponent(str).replace(/%[0-9A-F]{2}/g, 'x').length;
+}
+
+/**
+ * Truncates the text of the entry so that its JSON fits in the given number of
+ * bytes.
+ * @param {Object} entry the log entry.
+ * @param {number} maxBytes the max size of the JSON of the entry.
+ * @returns {Object} the truncated copy of the entry.
+ */
+function truncateEntry(entry, maxBytes) {
+    var truncated = Object.assign({}, entry);
+    var excess = getByteLength(JSON.stringify(truncated)) - maxBytes;
+
+    while (excess > 0 && truncated.text) {
+        truncated.text = truncated.text.substr(
+            0, Math.max(0, truncated.text.length - excess - 3)) + '...';
+        if (truncated.text === '...') {
+            break;
+        }
+        excess = getByteLength(JSON.stringify(truncated)) - maxBytes;
+    }
+
+    return truncated;
+}
+
+/**
+ * Compresses the given text.
+ * @param {string} text the text.
+ * @param {string} encoding "gzip", "deflate" or "identity".
+ * @returns {Promise<Uint8Array|string>}
+ */
+function compress(text, encoding) {
+    if (encoding === 'identity') {
+        return Promise.resolve(text);
+    }
+    if (typeof CompressionStream !== 'undefined') {
+        var stream = new Blob([ text ]).stream()
+            .pipeThrough(new CompressionStream(encoding));
+
+        return new Response(stream).arrayBuffer().then(function (buffer) {
+            return new Uint8Array(buffer);
+        });
+    }
+
+    var zlib = module.require('zlib');
+
+    return new Promise(function (resolve, reject) {
+        zlib[encoding === 'gzip' ? 'gzip' : 'deflate'](text, function (error, data) {
+            if (error) {
+                reject(error);
+            } else {
+                resolve(data);
+            }
+        });
+    });
+}
+
+/**
+ * Returns the severity of the given cached entry. The severity of the entries
+ * without a level is considered the highest, so that they're dropped last.
+ * @param {Object} entry the cached entry.
+ * @returns {number}
+ */
+function getEntrySeverity(entry) {
+    var severity = Object.values(Logger.levels).indexOf(entry.level);
+
+    return severity === -1 ? Infinity : severity;
+}
+
+/**
+ * Extends the time span of the dropped logs accounting with the given
+ * timestamp.
+ * @param {Object} stats the accounting with <tt>firstTimestamp</tt> and
+ * <tt>lastTimestamp</tt>.
+ * @param {string} timestamp the ISO timestamp.
+ */
+function updateTimeSpan(stats, timestamp) {
+    if (!timestamp) {
+        return;
+    }
+    if (!stats.firstTimestamp || timestamp < stats.firstTimestamp) {
+        stats.firstTimestamp = timestamp;
+    }
+    if (!stats.lastTimestamp || timestamp > stats.lastTimestamp) {
+        stats.lastTimestamp = timestamp;
+    }
+}
+
+/**
+ * Adds a listener for the given {@link LogCollector.events} event.
+ * @param {string} event the event name.
+ * @param {function(Object)} listener the listener called with the event's
+ * details.
+ */
+LogCollector.prototype.addListener = function (event, listener) {
+    this._listeners[event] = this._listeners[event] || [];
+    this._listeners[event].push(listener);
+};
+
+/**
+ * Removes a listener added with {@link addListener}.
+ * @param {string} event the event name.
+ * @param {function(Object)} listener the listener to remove.
+ */
+LogCollector.prototype.removeListener = function (event, listener) {
+    var listeners = this._listeners[event] || [];
+    var listenerIdx = listeners.indexOf(listener);
+    if (listenerIdx !== -1) {
+        listeners.splice(listenerIdx, 1);
+    }
+};
+
+/**
+ * Notifies the listeners of the given event.
+ * @param {string} event the event name.
+ * @param {Object} details the event's details.
+ * @private
+ */
+LogCollector.prototype._emit = function (event, details) {
+    (this._listeners[event] || []).slice().forEach(function (listener) {
+        try {
+            listener(details);
+        } catch (error) {
+            console.error('LogCollector error in the "' + event + '" listener: ', error);
+        }
+    });
+};
+
+/**
+ * Stores the batches from the {@link outputCache} one by one in order. A batch
+ * stays in the cache until <tt>logStorage.storeLogs</tt> succeeds, so that it
+ * is persisted while being stored. If <tt>logStorage.storeLogs</tt> returns
+ * a <tt>Promise</tt> the next batch is stored after it resolves.
+ * @private
+ */
+LogCollector.prototype._storeCachedLogs = function () {
+    while (this.outputCache.length && !this._storing && !this.retryTimeoutID) {
+        this._storeLogs(this.outputCache[0]);
+    }
+    if (!this.outputCache.length && !this._storing) {
+        var drainListeners = this._drainListeners;
+        this._drainListeners = [];
+        drainListeners.forEach(function (listener) {
+            listener(true);
+        });
+    }
 };
 
 /**
- * Passes the logs to logStorage.storeLogs in order to store them. If logStorage.storeLogs throws an error, it prints it.
- * Note: We are not retrying to pass the logs to the logStorage if there is an error.
- * @param {string[]} logs - The logs to be stored.
+ * Passes the logs to logStorage.storeLogs in order to store them. If
+ * logStorage.storeLogs throws an error or returns a <tt>Promise</tt> which
+ * rejects, the logs are retried with an exponential backoff.
+ * @param {Object[]} logs - The logs to be stored. It's expected to be the first
+ * batch in the {@link outputCache}.
+ * @private
  */
 LogCollector.prototype._storeLogs = function (logs) {
+    if (!this.compression) {
+        this._storePayload(logs, logs);
+        return;
+    }
+
+    this._storing = true;
+    // The encoding is started asynchronously, so that its errors, e.g.
+    // the failure to stringify the logs, are handled as the store failures.
+    Promise.resolve().then(function () {
+        return this._encodeLogs(logs);
+    }.bind(this)).then(
+        function (payload) {
+            this._storing = false;
+            this._storePayload(logs, payload);
+            this._storeCachedLogs();
+        }.bind(this),
+        function (error) {
+            this._storing = false;
+            this._onStoreLogsFailed(logs, error);
+            this._storeCachedLogs();
+        }.bind(this));
+};
+
+/**
+ * Creates the compressed payload of the given batch with its metadata.
+ * @param {Object[]} logs - The batch.
+ * @returns {Promise<Object>}
+ * @private
+ */
+LogCollector.prototype._encodeLogs = function (logs) {
+    var seq = this._batchSeqs.get(logs);
+
+    if (typeof seq === 'undefined') {
+        seq = this.nextSeq++;
+        this._batchSeqs.set(logs, seq);
+    }
+
+    var json = JSON.stringify(logs);
+    var encoding = this.compression;
+
+    return compress(json, encoding).then(function (data) {
+        return {
+            seq: seq,
+            batchId: this.collectorId + '-' + seq,
+            encoding: encoding,
+            originalSize: getByteLength(json),
+            data: data
+        };
+    }.bind(this));
+};
+
+/**
+ * Splits the given batch into the batches whose JSON doesn't exceed
+ * <tt>maxBatchBytes</tt>.
+ * @param {Object[]} batch - The batch.
+ * @returns {Array<Object[]>} the batches.
+ * @private
+ */
+LogCollector.prototype._splitBatch = function (batch) {
+    if (!this.maxBatchBytes) {
+        return [ batch ];
+    }
+
+    var batches = [];
+    var current = [];
+    // The size of the brackets of the JSON array.
+    var emptySize = 2;
+    var size = emptySize;
+
+    batch.forEach(function (entry) {
+        var entrySize = getByteLength(JSON.stringify(entry));
+
+        if (entrySize + emptySize > this.maxBatchBytes) {
+            entry = truncateEntry(entry, this.maxBatchBytes - emptySize);
+            entrySize = getByteLength(JSON.stringify(entry));
+        }
+        // The comma separating the entries.
+        var separatorSize = current.length ? 1 : 0;
+
+        if (current.length && size + separatorSize + entrySize > this.maxBatchBytes) {
+            batches.push(current);
+            current = [];
+            size = emptySize;
+            separatorSize = 0;
+        }
+        current.push(entry);
+        size += separatorSize + entrySize;
+    }, this);
+
+    if (current.length) {
+        batches.push(current);
+    }
+
+    return batches;
+};
+
+/**
+ * Passes the batch or its payload to logStorage.storeLogs.
+ * @param {Object[]} logs - The batch.
+ * @param {Object[]|Object} payload - The batch or its compressed payload.
+ * @private
+ */
+LogCollector.prototype._storePayload = function (logs, payload) {
+    var result;
+
     try {
-        this.logStorage.storeLogs(logs);
+        result = this.logStorage.storeLogs(payload);
     } catch (error) {
-        console.error('LogCollector error when calling logStorage.storeLogs(): ', error);
+        this._onStoreLogsFailed(logs, error);
+        return;
     }
+
+    if (result && typeof result.then === 'function') {
+        this._storing = true;
+        result.then(
+            function () {
+                this._storing = false;
+                this._onLogsStored(logs);
+                this._storeCachedLogs();
+            }.bind(this),
+            function (error) {
+                this._storing = false;
+                this._onStoreLogsFailed(logs, error);
+                this._storeCachedLogs();
+            }.bind(this));
+    } else {
+        this._onLogsStored(logs);
+    }
+};
+
+/**
+ * Removes the stored batch from the {@link outputCache}.
+ * @param {Object[]} logs - The stored logs.
+ * @private
+ */
+LogCollector.prototype._onLogsStored = function (logs) {
+    this._removeCachedLogs(logs);
+    this.storeAttempts = 0;
+    this._emit(LogCollector.events.STORED, { logs: logs });
+};
+
+/**
+ * Schedules a retry of the batch which failed to be stored or drops it if
+ * the max number of attempts has been reached.
+ * @param {Object[]} logs - The logs which failed to be stored.
+ * @param {Error} error - The reason of the failure.
+ * @private
+ */
+LogCollector.prototype._onStoreLogsFailed = function (logs, error) {
+    console.error('LogCollector error when calling logStorage.storeLogs(): ', error);
+
+    this.storeAttempts += 1;
+    if (this.storeAttempts >= this.maxStoreAttempts) {
+        this.storeAttempts = 0;
+        this._removeCachedLogs(logs);
+        this._onLogsDropped(logs, 'attempts', error);
+        return;
+    }
+
+    // Exponential backoff with a jitter of up to a half of the delay.
+    var delay = Math.min(
+        this.retryMaxDelay,
+        this.retryBaseDelay * Math.pow(2, this.storeAttempts - 1));
+    delay = Math.round(delay / 2 + Math.random() * delay / 2);
+
+    this.retryTimeoutID = this.scheduler.setTimeout(function () {
+        this.retryTimeoutID = null;
+        this._flush(false /* do not force */, false /* do not reschedule */);
+    }.bind(this), delay);
+    this._emit(LogCollector.events.RETRYING, {
+        logs: logs,
+        attempt: this.storeAttempts,
+        delay: delay,
+        error: error
+    });
+};
+
+/**
+ * Removes the given batch from the {@link outputCache} and updates
+ * the persisted logs.
+ * @param {Object[]} logs - The batch to remove.
+ * @private
+ */
+LogCollector.prototype._removeCachedLogs = function (logs) {
+    var batchIdx = this.outputCache.indexOf(logs);
+    if (batchIdx !== -1) {
+        this.outputCache.splice(batchIdx, 1);
+        if (this.persistence) {
+            this._persistLogs();
+        }
+    }
+};
+
+/**
+ * Drops cached logs according to the <tt>overflowPolicy</tt> while there are
+ * more than <tt>maxCachedBatches</tt> batches in the cache or their total size
+ * exceeds <tt>maxRetainedBytes</tt>. The batch being stored is never dropped.
+ * @private
+ */
+LogCollector.prototype._limitCachedLogs = function () {
+    var firstDroppableIdx = this._storing ? 1 : 0;
+    var size = this.outputCache.reduce(function (total, batch) {
+        return total + getBatchSize(batch);
+    }, 0);
+
+    while (this.outputCache.length > firstDroppableIdx &&
+            (this.outputCache.length > this.maxCachedBatches || size > this.maxRetainedBytes)) {
+        var dropped;
+        if (this.overflowPolicy === LogCollector.overflowPolicies.DROP_LOWEST_SEVERITY) {
+            dropped = this.outputCache.length > this.maxCachedBatches ?
+                this._dropLeastSevereBatch(firstDroppableIdx) :
+                this._dropLeastSevereEntries(firstDroppableIdx);
+        } else {
+            dropped = this.outputCache.splice(
+                this.overflowPolicy === LogCollector.overflowPolicies.DROP_NEWEST ?
+                    this.outputCache.length - 1 : firstDroppableIdx,
+                1)[0];
+        }
+        size -= getBatchSize(dropped);
+        this._onLogsDropped(dropped, 'overflow');
+    }
+};
+
+/**
+ * Drops the cached batch with the least severe messages. The oldest batch is
+ * dropped if more of them have the same severity.
+ * @param {number} firstDroppableIdx the index of the first cached batch which
+ * can be dropped.
+ * @returns {Object[]} the dropped batch.
+ * @private
+ */
+LogCollector.prototype._dropLeastSevereBatch = function (firstDroppableIdx) {
+    var droppedIdx = firstDroppableIdx;
+    var minSeverity = Infinity;
+
+    for (var i = firstDroppableIdx; i < this.outputCache.length; i++) {
+        var batchSeverity = Math.max.apply(Math, this.outputCache[i].map(getEntrySeverity));
+        if (batchSeverity < minSeverity) {
+            minSeverity = batchSeverity;
+            droppedIdx = i;
+        }
+    }
+
+    return this.outputCache.splice(droppedIdx, 1)[0];
+};
+
+/**
+ * Drops the cached entries with the least severe level from the oldest batch
+ * containing such entries. The batch is removed from the cache if it becomes
+ * empty.
+ * @param {number} firstDroppableIdx the index of the first cached batch which
+ * can be dropped.
+ * @returns {Object[]} the dropped entries.
+ * @private
+ */
+LogCollector.prototype._dropLeastSevereEntries = function (firstDroppableIdx) {
+    var minSeverity = Infinity;
+    var batchIdx = firstDroppableIdx;
+
+    for (var i = firstDroppableIdx; i < this.outputCache.length; i++) {
+        var batchSeverity = Math.min.apply(Math, this.outputCache[i].map(getEntrySeverity));
+        if (batchSeverity < minSeverity) {
+            minSeverity = batchSeverity;
+            batchIdx = i;
+        }
+    }
+
+    var batch = this.outputCache[batchIdx];
+    var dropped = batch.filter(function (entry) {
+        return getEntrySeverity(entry) === minSeverity;
+    });
+    var kept = batch.filter(function (entry) {
+        return getEntrySeverity(entry) !== minSeverity;
+    });
+
+    if (kept.length) {
+        this.outputCache[batchIdx] = kept;
+    } else {
+        this.outputCache.splice(batchIdx, 1);
+    }
+
+    return dropped;
+};
+
+/**
+ * Accounts the dropped logs, so that the drop is reported in the next stored
+ * batch, and notifies the {@link LogCollector.events.DROPPED} listeners.
+ * @param {Object[]} logs - The dropped logs.
+ * @param {string} reason - The reason of the drop.
+ * @param {Error} [error] - The error which caused the drop.
+ * @private
+ */
+LogCollector.prototype._onLogsDropped = function (logs, reason, error) {
+    var stats = this.droppedStats = this.droppedStats || {
+        counts: {},
+        firstTimestamp: null,
+        lastTimestamp: null
+    };
+
+    logs.forEach(function (entry) {
+        if (entry.dropped) {
+            // Keep the accounting of the synthetic entries which got dropped too.
+            Object.keys(entry.dropped.counts).forEach(function (level) {
+                stats.counts[level] = (stats.counts[level] || 0) + entry.dropped.counts[level];
+            });
+            updateTimeSpan(stats, entry.dropped.firstTimestamp);
+            updateTimeSpan(stats, entry.dropped.lastTimestamp);
+        } else {
+            var level = entry.level || 'unknown';
+            stats.counts[level] = (stats.counts[level] || 0) + (entry.count || 1);
+            updateTimeSpan(stats, entry.timestamp);
+        }
+    });
+
+    this._emit(LogCollector.events.DROPPED, {
+        logs: logs,
+        reason: reason,
+        error: error
+    });
+};
+
+/**
+ * Creates the entry which reports the logs dropped since the last report and
+ * resets the accounting.
+ * @returns {Object|null} the synthetic entry or <tt>null</tt> if no logs have
+ * been dropped.
+ * @private
+ */
+LogCollector.prototype._takeDroppedLogsEntry = function () {
+    var stats = this.droppedStats;
+
+    if (!stats) {
+        return null;
+    }
+    this.droppedStats = null;
+
+    var total = 0;
+    var counts = Object.keys(stats.counts).map(function (level) {
+        total += stats.counts[level];
+        return level + ': ' + stats.counts[level];
+    });
+
+    return {
+        text: 'LogCollector dropped ' + total + ' messages (' + counts.join(', ') + ') logged between ' +
+            stats.firstTimestamp + ' and ' + stats.lastTimestamp,
+        timestamp: new Date(this.now()).toISOString(),
+        count: 1,
+        level: Logger.levels.WARN,
+        dropped: stats
+    };
 };
 
 /**
@@ -262,29 +1458,32 @@ LogCollector.prototype._flush = function(force, reschedule) {
         console.error('LogCollector error when calling logStorage.isReady(): ', error);
     }
 
-    // Publish only if there's anything to be logged
-    if (this.totalLen > 0 && (logStorageReady || force)) {
-        //FIXME avoid truncating
-        // right now we don't care if the message size is "slightly" exceeded
-        if (logStorageReady) {
-            // Sends all cached logs
-            if (this.outputCache.length) {
-                this.outputCache.forEach(
-                    function (cachedQueue) {
-                        this._storeLogs(cachedQueue);
-                    }.bind(this)
-                );
-                // Clear the cache
-                this.outputCache = [];
-            }
-            // Send current batch
-            this._storeLogs(this.queue);
-        } else {
-            this.outputCache.push(this.queue);
-        }
+    var hasPendingLogs = this.totalLen > 0;
+    var hasCachedLogs = this.outputCache.length > 0;
 
+    // The message size may "slightly" exceed maxEntryLength, the batches are
+    // split strictly only if maxBatchBytes is set.
+    if (hasPendingLogs && (logStorageReady || force)) {
+        var droppedLogsEntry = this._takeDroppedLogsEntry();
+        if (droppedLogsEntry) {
+            this.queue.unshift(droppedLogsEntry);
+        }
+        // The current batch goes after the cached ones in order to be stored
+        // in order.
+        Array.prototype.push.apply(this.outputCache, this._splitBatch(this.queue));
         this.queue = [];
+        this.aggregates = {};
         this.totalLen = 0;
+        this._limitCachedLogs();
+    }
+
+    if (this.persistence && (hasPendingLogs || hasCachedLogs)) {
+        this._persistLogs();
+    }
+
+    // Sends all cached logs, unless a retry is scheduled
+    if (logStorageReady) {
+        this._storeCachedLogs();
     }
 
     if (reschedule) {
@@ -295,10 +1494,21 @@ LogCollector.prototype._flush = function(force, reschedule) {
 /**
  * Stops the periodical "store logs" task and immediately stores any pending
  * log entries as a batch.
+ * @param {number} [timeout] the max time in milliseconds to wait for
+ * the logs to be stored.
+ * @returns {Promise<boolean>} see {@link flush}.
  */
-LogCollector.prototype.stop = function() {
+LogCollector.prototype.stop = function(timeout) {
+    if (this.storeLogsIntervalID) {
+        this.scheduler.clearTimeout(this.storeLogsIntervalID);
+        this.storeLogsIntervalID = null;
+    }
+    this._removeExitListeners();
     // Flush and stop publishing logs
     this._flush(false /* do not force */, false /* do not reschedule */);
+    this._cancelPersistLogs();
+
+    return this._waitForStoredLogs(timeout);
 };
 
 module.exports = LogCollector;
@@ -0,0 +1,211 @@
+/* Copyright @ 2015-present 8x8, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+var Logger = require("./Logger");
+
+/**
+ * The level used for the entries of a filter spec which name a logger id
+ * pattern without a level, e.g. "JitsiConference".
+ */
+var DEFAULT_ENABLED_LEVEL = Logger.levels.TRACE;
+
+/**
+ * Checks whether the given string is a log level name accepted in a filter
+ * spec.
+ * @param {string} level the string to check.
+ * @returns {boolean}
+ */
+function isLevel(level) {
+    if (level === Logger.LEVEL_OFF) {
+        return true;
+    }
+    for (var key in Logger.levels) {
+        if (Logger.levels[key] === level) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Parses a DEBUG-style filter spec. The spec is a list of entries separated by
+ * commas or whitespace. Each entry is one of:
+ * <ul>
+ * <li>"pattern:level" - sets the level for the loggers matching the pattern,
+ * e.g. "JitsiConference:debug" or "xmpp.*:warn";</li>
+ * <li>"pattern" - enables all the levels for the matching loggers;</li>
+ * <li>"-pattern" - disables the matching loggers.</li>
+ * </ul>
+ * Since logger ids may contain ":" the text after the last ":" is treated as
+ * the level only if it's a known level name. The "*" pattern sets the default
+ * level for all the loggers.
+ *
+ * @param {string} spec the filter spec, e.g. "*:warn,JitsiConference:debug,-stats".
+ * @returns {{defaultLevel: string|undefined, rules: Object<string, string>}}
+ * the default level and the map of logger id patterns to levels.
+ */
+function parseLogFilter(spec) {
+    var result = {
+        defaultLevel: undefined,
+        rules: {}
+    };
+    var entries = (spec || "").split(/[\s,]+/);
+
+    for (var i = 0; i < entries.length; i++) {
+        var entry = entries[i];
+        var pattern = entry;
+        var level = DEFAULT_ENABLED_LEVEL;
+
+        if (!entry) {
+            continue;
+        }
+        if (entry.charAt(0) === "-") {
+            pattern = entry.substr(1);
+            level = Logger.LEVEL_OFF;
+        } else {
+            var separatorIdx = entry.lastIndexOf(":");
+            if (separatorIdx !== -1 &&
+                    isLevel(entry.substr(separatorIdx + 1).toLowerCase())) {
+                pattern = entry.substr(0, separatorIdx);
+                level = entry.substr(separatorIdx + 1).toLowerCase();
+            }
+        }
+        if (!pattern) {
+            continue;
+        }
+        if (pattern === "*") {
+            result.defaultLevel = level;
+        } else {
+            result.rules[pattern] = level;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Reads the value of the given parameter from a URL fragment in the
+ * "#param1=value1&param2=value2" format.
+ * @param {string} hash the URL fragment.
+ * @param {string} param the name of the parameter.
+ * @returns {string|undefined} the decoded value or <tt>undefined</tt> if the
+ * parameter is not present.
+ */
+function getHashParam(hash, param) {
+    var params = (hash || "").replace(/^#/, "").split("&");
+
+    for (var i = 0; i < params.length; i++) {
+        var separatorIdx = params[i].indexOf("=");
+        if (separatorIdx !== -1 && params[i].substr(0, separatorIdx) === param) {
+            var value;
+            try {
+                value = decodeURIComponent(params[i].substr(separatorIdx + 1));
+            } catch (error) {
+                return undefined;
+            }
+            // Values in the URL fragment are often JSON encoded strings.
+            return value.replace(/^"(.*)"$/, "$1");
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Returns the <tt>localStorage</tt> if it is available in the current
+ * environment.
+ * @returns {Storage|null}
+ */
+function getLocalStorage() {
+    try {
+        return typeof window !== "undefined" && window.localStorage || null;
+    } catch (error) {
+        // Accessing localStorage throws when the storage is disabled.
+        return null;
+    }
+}
+
+/**
+ * Reads the filter spec from the first available source in the order - the URL
+ * fragment, the <tt>localStorage</tt> and the environment variables.
+ * @param {Object} options the sources to read the spec from.
+ * @param {string} [options.hashParam] the name of the URL fragment parameter.
+ * @param {string} [options.storageKey] the <tt>localStorage</tt> key.
+ * @param {string} [options.envVariable] the name of the environment variable
+ * used under Node.
+ * @returns {string|undefined} the filter spec or <tt>undefined</tt> if none of
+ * the sources has one.
+ */
+function readLogFilter(options) {
+    var spec;
+
+    if (options.hashParam && typeof window !== "undefined" && window.location) {
+        spec = getHashParam(window.location.hash, options.hashParam);
+    }
+    if (!spec && options.storageKey) {
+        var storage = getLocalStorage();
+        try {
+            spec = storage && storage.getItem(options.storageKey);
+        } catch (error) {
+            spec = undefined;
+        }
+    }
+    if (!spec && options.envVariable && typeof process !== "undefined" &&
+            process.env) {
+        spec = process.env[options.envVariable];
+    }
+
+    return spec || undefined;
+}
+
+/**
+ * Listens for changes of the URL fragment and the <tt>localStorage</tt> and
+ * calls the given callback with the filter spec read again from the sources.
+ * @param {Object} options the sources of the spec, see {@link readLogFilter}.
+ * @param {function(string|undefined)} onChange the callback.
+ * @returns {function()} a function which removes the listeners.
+ */
+function watchLogFilter(options, onChange) {
+    if (typeof window === "undefined" ||
+            typeof window.addEventListener !== "function") {
+        return function () { /* nothing to remove */ };
+    }
+
+    var onHashChange = function () {
+        onChange(readLogFilter(options));
+    };
+    var onStorage = function (event) {
+        // The key is null when the whole storage has been cleared.
+        if (event.key === options.storageKey || event.key === null) {
+            onChange(readLogFilter(options));
+        }
+    };
+
+    if (options.hashParam) {
+        window.addEventListener("hashchange", onHashChange);
+    }
+    if (options.storageKey) {
+        window.addEventListener("storage", onStorage);
+    }
+
+    return function () {
+        window.removeEventListener("hashchange", onHashChange);
+        window.removeEventListener("storage", onStorage);
+    };
+}
+
+module.exports = {
+    parseLogFilter: parseLogFilter,
+    readLogFilter: readLogFilter,
+    watchLogFilter: watchLogFilter
+};
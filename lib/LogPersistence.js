@@ -0,0 +1,270 @@
+/* Copyright @ 2016-present 8x8, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * The persistence layer used by the <tt>LogCollector</tt> to keep the log
+ * batches which have not been stored yet across page reloads and crashes.
+ *
+ * @typedef {object} LogPersistence
+ *
+ * @property {function(): Promise<Array<object[]>>} load returns the batches
+ * persisted by the previous session.
+ * @property {function(Array<object[]>): (Promise|undefined)} save replaces
+ * the persisted batches with the given ones.
+ */
+
+/**
+ * The default size cap of the persisted batches.
+ */
+var DEFAULT_MAX_BYTES = 1024 * 1024;
+
+/**
+ * Limits the total serialized size of the given batches by evicting the oldest
+ * batches first.
+ * @param {Array<object[]>} batches the batches ordered from the oldest.
+ * @param {number} maxBytes the size cap.
+ * @returns {Array<object[]>} the batches which fit into the cap.
+ */
+function limitBatches(batches, maxBytes) {
+    var sizes = batches.map(function (batch) {
+        return JSON.stringify(batch).length;
+    });
+    var totalSize = sizes.reduce(function (sum, size) {
+        return sum + size;
+    }, 0);
+    var firstKept = 0;
+
+    while (totalSize > maxBytes && firstKept < batches.length) {
+        totalSize -= sizes[firstKept];
+        firstKept += 1;
+    }
+
+    return batches.slice(firstKept);
+}
+
+/**
+ * Creates new <tt>MemoryLogPersistence</tt> which implements
+ * {@link LogPersistence} by keeping the serialized batches in memory. It
+ * doesn't survive reloads, but an instance shared by two collectors behaves
+ * like a durable storage which makes it useful for testing.
+ *
+ * @param {Object} [options] the configuration options.
+ * @param {number} [options.maxBytes] the size cap of the persisted batches.
+ * The oldest batches are evicted when it is exceeded.
+ *
+ * @constructor
+ */
+function MemoryLogPersistence(options) {
+    this.maxBytes = options && options.maxBytes ? options.maxBytes : DEFAULT_MAX_BYTES;
+    /**
+     * The persisted batches serialized as JSON.
+     * @type {string}
+     */
+    this.data = "[]";
+}
+
+/**
+ * Returns the persisted batches.
+ * @returns {Promise<Array<object[]>>}
+ */
+MemoryLogPersistence.prototype.load = function () {
+    return Promise.resolve(JSON.parse(this.data));
+};
+
+/**
+ * Replaces the persisted batches.
+ * @param {Array<object[]>} batches the batches to persist.
+ */
+MemoryLogPersistence.prototype.save = function (batches) {
+    this.data = JSON.stringify(limitBatches(batches, this.maxBytes));
+};
+
+/**
+ * Creates new <tt>IndexedDBLogPersistence</tt> which implements
+ * {@link LogPersistence} by keeping the batches in the browser's IndexedDB.
+ * The batches of each instance are kept under a key of their own, so that
+ * the collectors of several tabs sharing the database don't overwrite each
+ * other's batches. The batches of the other keys are claimed by the next
+ * instance which loads them. The batches of a tab which is still open are
+ * claimed too, so they may be stored twice.
+ *
+ * @param {Object} [options] the configuration options.
+ * @param {string} [options.dbName] the name of the database, defaults to
+ * "jitsi-logger".
+ * @param {number} [options.maxBytes] the size cap of the persisted batches.
+ * The oldest batches are evicted when it is exceeded.
+ * @param {IDBFactory} [options.indexedDB] the IndexedDB factory, defaults to
+ * <tt>window.indexedDB</tt>.
+ *
+ * @constructor
+ */
+function IndexedDBLogPersistence(options) {
+    this.dbName = options && options.dbName ? options.dbName : "jitsi-logger";
+    this.maxBytes = options && options.maxBytes ? options.maxBytes : DEFAULT_MAX_BYTES;
+    this.indexedDB = options && options.indexedDB ? options.indexedDB :
+        typeof window !== "undefined" && window.indexedDB;
+    /**
+     * The promise of the opened database.
+     * @type {Promise<IDBDatabase>|null}
+     */
+    this._db = null;
+    /**
+     * The key of the record holding the batches of this instance. It starts
+     * with the time, so that the keys of the older sessions are sorted first.
+     * @type {string}
+     */
+    this.key = IndexedDBLogPersistence.BATCHES_KEY + ":" + Date.now() + ":" +
+        Math.random().toString(36).slice(2);
+}
+
+/**
+ * The name of the object store holding the batches.
+ */
+IndexedDBLogPersistence.STORE_NAME = "batches";
+
+/**
+ * The prefix of the keys of the records holding the batches. The key without
+ * a suffix is the one used by the older versions.
+ */
+IndexedDBLogPersistence.BATCHES_KEY = "pending";
+
+/**
+ * Checks whether the given key is the key of a record holding the batches.
+ * @param {*} key the key.
+ * @returns {boolean}
+ */
+function isBatchesKey(key) {
+    return key === IndexedDBLogPersistence.BATCHES_KEY ||
+        (typeof key === "string" && key.indexOf(IndexedDBLogPersistence.BATCHES_KEY + ":") === 0);
+}
+
+/**
+ * Opens the database once.
+ * @returns {Promise<IDBDatabase>}
+ * @private
+ */
+IndexedDBLogPersistence.prototype._open = function () {
+    if (!this._db) {
+        this._db = new Promise(function (resolve, reject) {
+            if (!this.indexedDB) {
+                reject(new Error("IndexedDB is not available"));
+                return;
+            }
+            var request = this.indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = function () {
+                request.result.createObjectStore(
+                    IndexedDBLogPersistence.STORE_NAME);
+            };
+            request.onsuccess = function () {
+                resolve(request.result);
+            };
+            request.onerror = function () {
+                reject(request.error);
+            };
+        }.bind(this));
+    }
+    return this._db;
+};
+
+/**
+ * Runs a request on the object store within a new transaction.
+ * @param {string} mode the transaction mode.
+ * @param {function(IDBObjectStore): IDBRequest} createRequest creates
+ * the request.
+ * @returns {Promise<*>} the result of the request.
+ * @private
+ */
+IndexedDBLogPersistence.prototype._request = function (mode, createRequest) {
+    return this._open().then(function (db) {
+        return new Promise(function (resolve, reject) {
+            var transaction
+                = db.transaction(IndexedDBLogPersistence.STORE_NAME, mode);
+            var request = createRequest(
+                transaction.objectStore(IndexedDBLogPersistence.STORE_NAME));
+            request.onsuccess = function () {
+                resolve(request.result);
+            };
+            request.onerror = function () {
+                reject(request.error);
+            };
+        });
+    });
+};
+
+/**
+ * Returns the batches persisted by the other sessions, from the oldest, and
+ * claims them by moving them to the key of this instance within the same
+ * transaction, so that they're loaded only once.
+ * @returns {Promise<Array<object[]>>}
+ */
+IndexedDBLogPersistence.prototype.load = function () {
+    var key = this.key;
+
+    return this._open().then(function (db) {
+        return new Promise(function (resolve, reject) {
+            var transaction
+                = db.transaction(IndexedDBLogPersistence.STORE_NAME, "readwrite");
+            var store = transaction.objectStore(IndexedDBLogPersistence.STORE_NAME);
+            var request = store.openCursor();
+            var claimedBatches = [];
+            var ownBatches = [];
+
+            request.onsuccess = function () {
+                var cursor = request.result;
+
+                if (!cursor) {
+                    if (claimedBatches.length) {
+                        store.put(claimedBatches.concat(ownBatches), key);
+                    }
+                    return;
+                }
+                if (cursor.key === key) {
+                    ownBatches = cursor.value || [];
+                } else if (isBatchesKey(cursor.key)) {
+                    claimedBatches = claimedBatches.concat(cursor.value || []);
+                    cursor.delete();
+                }
+                cursor.continue();
+            };
+            transaction.oncomplete = function () {
+                resolve(claimedBatches);
+            };
+            transaction.onerror = transaction.onabort = function () {
+                reject(transaction.error);
+            };
+        });
+    });
+};
+
+/**
+ * Replaces the persisted batches.
+ * @param {Array<object[]>} batches the batches to persist.
+ * @returns {Promise}
+ */
+IndexedDBLogPersistence.prototype.save = function (batches) {
+    var limitedBatches = limitBatches(batches, this.maxBytes);
+    var key = this.key;
+
+    return this._request("readwrite", function (store) {
+        return store.put(limitedBatches, key);
+    });
+};
+
+module.exports = {
+    DEFAULT_MAX_BYTES: DEFAULT_MAX_BYTES,
+    limitBatches: limitBatches,
+    MemoryLogPersistence: MemoryLogPersistence,
+    IndexedDBLogPersistence: IndexedDBLogPersistence
+};
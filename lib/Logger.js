@@ -13,6 +13,10 @@
  * limitations under the License.
  */
 /*jslint latedef:false*/
+var RateLimiter = require("./RateLimiter");
+var Redactor = require("./Redactor");
+var StackTrace = require("./StackTrace");
+var TraceEvents = require("./TraceEvents");
 
 /**
  * Ordered log levels.
@@ -26,6 +30,16 @@ var levels = {
     "error": 5
 };
 
+/**
+ * Returns the numeric severity for the given level. The {@link Logger.LEVEL_OFF}
+ * pseudo level is more severe than any of the log levels.
+ * @param {string} level the log level.
+ * @returns {number}
+ */
+function getSeverity(level) {
+    return level === Logger.LEVEL_OFF ? Infinity : levels[level];
+}
+
 /**
  * The default transport - console
  * @type LoggerTransport
@@ -38,20 +52,59 @@ Logger.consoleTransport = console;
  */
 var globalTransports = [ Logger.consoleTransport ];
 
+/**
+ * The options of the transports which have them, stored separately so that
+ * transports like the console don't have to be modified. The options of
+ * the transports which are no longer used, e.g. the ones of the disposed
+ * loggers, are released with them.
+ * @type {WeakMap<LoggerTransport, TransportOptions>}
+ */
+var transportOptions = new WeakMap();
+
+/**
+ * Returns the options of the given transport.
+ * @param {LoggerTransport} transport the transport.
+ * @returns {TransportOptions|null}
+ */
+function getTransportOptions(transport) {
+    return transportOptions.get(transport) || null;
+}
+
+/**
+ * Sets the options of the given transport, which can be either a global
+ * transport or one of the transports of a logger. Changing these works even
+ * after the transport is registered.
+ * @param {LoggerTransport} transport the transport.
+ * @param {TransportOptions|null} options the options or <tt>null</tt> to clear
+ * them.
+ */
+Logger.setTransportOptions = function(transport, options) {
+    if (options) {
+        transportOptions.set(transport, options);
+    } else {
+        transportOptions.delete(transport);
+    }
+};
+
 /**
  * Adds given {@link LoggerTransport} instance to the list of global
  * transports which means that it'll be used by all {@link Logger}s
  * @param {LoggerTransport} transport
+ * @param {TransportOptions} [options] the level and the filter of
+ * the messages the transport receives, see {@link Logger.setTransportOptions}.
  */
-Logger.addGlobalTransport = function(transport) {
+Logger.addGlobalTransport = function(transport, options) {
     if (globalTransports.indexOf(transport) === -1) {
         globalTransports.push(transport);
     }
+    if (options) {
+        Logger.setTransportOptions(transport, options);
+    }
 };
 
 /**
  * Removes given {@link LoggerTransport} instance from the list of global
- * transports
+ * transports and clears its options, see {@link Logger.setTransportOptions}.
  * @param {LoggerTransport} transport
  */
 Logger.removeGlobalTransport = function(transport) {
@@ -59,6 +112,7 @@ Logger.removeGlobalTransport = function(transport) {
     if (transportIdx !== -1) {
         globalTransports.splice(transportIdx, 1);
     }
+    Logger.setTransportOptions(transport, null);
 };
 
 /**
@@ -69,18 +123,129 @@ var globalOptions = {};
 /**
  * Sets global options which will be used by all loggers. Changing these works
  * even after other loggers are created.
+ * @param {Object} options the global options.
+ * @param {boolean} options.disableCallerInfo Whether the call site of logger
+ * method invocations should be excluded from the logs.
+ * @param {Object} options.context the fields included in the context of every
+ * log message, e.g. the conference's room name. The fields bound to a logger
+ * take precedence.
+ * @param {RateLimitOptions} options.rateLimit the limits of the number of
+ * messages the loggers can log. The messages over the limits are suppressed and
+ * their number is periodically reported by a summary warning of the logger.
+ * @param {RedactionRules} options.redaction the rules for masking sensitive
+ * data in the logged arguments and the context before any transport gets them.
+ * @param {LogFormatter} options.formatter the formatter used for the transports
+ * which don't accept records and don't have their own <tt>formatter</tt>,
+ * e.g. the console. Defaults to the ISO timestamp, level, id and caller prefix.
+ * @param {function(Object): Object} options.sourceMapResolver the function
+ * which maps the location of the caller in a minified bundle to the original
+ * source. It gets the caller info with <tt>methodName</tt>,
+ * <tt>fileLocation</tt>, <tt>line</tt> and <tt>column</tt> and returns
+ * the fields to replace.
  */
 Logger.setGlobalOptions = function(options) {
     globalOptions = options || {};
 };
 
+/**
+ * The file locations of the logger's modules whose frames are skipped in order
+ * to find the caller of a log method, see
+ * {@link Logger.addInternalFileLocation}.
+ * @type {string[]}
+ */
+var internalFileLocations = [];
+
+/**
+ * Adds the file location of a module which calls the log methods on behalf of
+ * its callers, e.g. a wrapper of the log methods, so that its frames are
+ * skipped when looking for the caller of a log method.
+ * @param {string} fileLocation the file location of the module, see
+ * <tt>StackTrace.getFileLocation</tt>.
+ */
+Logger.addInternalFileLocation = function (fileLocation) {
+    if (fileLocation && internalFileLocations.indexOf(fileLocation) === -1) {
+        internalFileLocations.push(fileLocation);
+    }
+};
+
+Logger.addInternalFileLocation(StackTrace.getFileLocation());
+
+/**
+ * Checks whether the logger's modules are bundled into a single file, probably
+ * together with the callers, in which case the frames of the logger can't be
+ * recognized by the file location.
+ * @returns {boolean}
+ */
+function isBundled() {
+    return !internalFileLocations.length ||
+        internalFileLocations[0] === StackTrace.fileLocation;
+}
+
+/**
+ * The number of frames from the top of the stack to the caller of the log
+ * method - {@link getCallerInfo}, {@link logRecord}, the log method (e.g.
+ * {@link log}) and the caller. Used only when the logger is bundled, see
+ * {@link isBundled}.
+ */
+var CALLER_FRAME_IDX = 3;
+
+/**
+ * The max number of frames which some engines put on top of the stack before
+ * the frame of {@link getCallerInfo}, e.g. of the <tt>Error</tt> constructor.
+ */
+var MAX_EXTRA_TOP_FRAMES = 2;
+
+/**
+ * Returns the frame of the caller of the log method in the given stack. It's
+ * the first frame after the frames of the logger's modules. When the logger is
+ * bundled a fixed number of frames is skipped instead.
+ * @param {StackFrame[]} frames the frames of the stack from the innermost one.
+ * @param {number} [extraDepth] the number of logger-internal frames between
+ * the log method and {@link logRecord} when the logger is bundled.
+ * @returns {StackFrame|undefined}
+ */
+function findCallerFrame(frames, extraDepth) {
+    var i = 0;
+
+    if (isBundled()) {
+        for (; i <= MAX_EXTRA_TOP_FRAMES && i < frames.length; i++) {
+            if (frames[i].methodName === "getCallerInfo") {
+                break;
+            }
+        }
+        if (i > MAX_EXTRA_TOP_FRAMES || i === frames.length) {
+            i = 0;
+        }
+
+        return frames[i + CALLER_FRAME_IDX + (extraDepth || 0)];
+    }
+
+    // Some engines put frames, e.g. of the Error constructor, on top of
+    // the logger's ones.
+    while (i < frames.length &&
+            internalFileLocations.indexOf(frames[i].fileLocation) === -1) {
+        i++;
+    }
+    while (i < frames.length &&
+            internalFileLocations.indexOf(frames[i].fileLocation) !== -1) {
+        i++;
+    }
+
+    return frames[i];
+}
+
 /**
  * Parses Error's object stack trace and extracts information about the last
- * caller before the log method was called.
+ * caller before the log method was called. All the major engine formats are
+ * supported - V8, SpiderMonkey, JavaScriptCore and Hermes.
+ * @param {number} [extraDepth] the number of logger-internal frames between
+ * the log method and {@link logRecord} when the logger is bundled, see
+ * {@link findCallerFrame}.
  * @returns JS object with info about the caller - method name, file location,
- * line and column.
+ * line and column. If the <tt>sourceMapResolver</tt> global option is set
+ * the location is resolved with it.
  */
-function getCallerInfo() {
+function getCallerInfo(extraDepth) {
     var callerInfo = {
         methodName: "",
         fileLocation: "",
@@ -89,73 +254,208 @@ function getCallerInfo() {
     };
     //gets the part of the stack without the logger wrappers
     var error = new Error();
-    var stack = error.stack? error.stack.split("\n") : [];
-    if(!stack || stack.length < 3) {
+    var frame = findCallerFrame(StackTrace.parseStack(error.stack), extraDepth);
+    if (!frame) {
         return callerInfo;
     }
-    var m = null;
-    if(stack[3]) {
-        m = stack[3].match(/\s*at\s*(.+?)\s*\((\S*)\s*:(\d*)\s*:(\d*)\)/);
-    }
-    if(!m || m.length <= 4) {
-        //Firefox && Safari
-        if(stack[2].indexOf("log@") === 0){
-            //Safari
-            callerInfo.methodName = stack[3].substr(0, stack[3].indexOf("@"));
-        } else {
-            //Firefox
-            callerInfo.methodName = stack[2].substr(0, stack[2].indexOf("@"));
+
+    callerInfo.methodName = frame.methodName;
+    callerInfo.fileLocation = frame.fileLocation;
+    callerInfo.line = frame.line;
+    callerInfo.column = frame.column;
+
+    if (typeof globalOptions.sourceMapResolver === "function") {
+        try {
+            callerInfo = Object.assign(
+                callerInfo, globalOptions.sourceMapResolver(callerInfo));
+        } catch (e) {
+            console.error("An error occured when trying to resolve the caller's location", e);
         }
-        return callerInfo;
     }
 
-    callerInfo.methodName = m[1];
-    callerInfo.fileLocation = m[2];
-    callerInfo.line = m[3];
-    callerInfo.column = m[4];
     return callerInfo;
 }
 
 /**
- * Logs messages using the transports and level from the logger.
- * @param logger a logger instance.
- * @param level the log level of the message. See the levels variable.
- * @param arguments array with arguments that will be logged.
+ * Builds the list of arguments passed to the log methods of the transports
+ * which do not accept log records. The original arguments are prefixed with
+ * the ISO timestamp, the log level, the logger id and the caller's method
+ * name.
+ * @param {LogRecord} record the log record.
+ * @returns {Array} the console-style arguments for the log method.
  */
-function log() {
-    var logger = arguments[0], level = arguments[1],
-        args = Array.prototype.slice.call(arguments, 2);
-    if(levels[level] < logger.level) {
-        return;
+function getLogArguments(record) {
+    var logPrefixes = [];
+
+    logPrefixes.push(new Date(record.timestamp).toISOString());
+
+    // Include the log level for log parsing and filtering.
+    logPrefixes.push("[" + record.level.toUpperCase() +"]");
+
+    if (record.loggerId) {
+        logPrefixes.push("[" + record.loggerId + "]");
     }
 
-    var callerInfo
-        = !(logger.options.disableCallerInfo || globalOptions.disableCallerInfo) &&
-            getCallerInfo();
-    var transports = globalTransports.concat(logger.transports);
-    for(var i = 0; i < transports.length; i++) {
-        var t = transports[i];
-        var l = t[level];
-        if(l && typeof(l) === "function") {
-            var logPrefixes = [];
+    var contextFields = Object.keys(record.context).map(function (key) {
+        return key + "=" + record.context[key];
+    });
+    if (contextFields.length) {
+        logPrefixes.push("[" + contextFields.join(" ") + "]");
+    }
 
-            logPrefixes.push(new Date().toISOString());
+    var callerInfo = record.callerInfo;
+    if (callerInfo && callerInfo.methodName.length > 1) {
+        logPrefixes.push("<" + callerInfo.methodName + ">: ");
+    }
 
-            // Include the log level for log parsing and filtering.
-            logPrefixes.push("[" + level.toUpperCase() +"]");
+    return logPrefixes.concat(record.args);
+}
 
-            if (logger.id) {
-                logPrefixes.push("[" + logger.id + "]");
-            }
+/**
+ * Exports the function building console-style arguments from a log record for
+ * the transports which accept records but need the default prefixes.
+ */
+Logger.getLogArguments = getLogArguments;
 
-            if (callerInfo && callerInfo.methodName.length > 1) {
-                logPrefixes.push("<" + callerInfo.methodName + ">: ");
-            }
+/**
+ * The rate limiter shared by all the loggers.
+ * @type {RateLimiter}
+ */
+var rateLimiter = new RateLimiter();
+
+/**
+ * The timeouts scheduled to report the suppressed messages by logger id, so
+ * that they're reported even if the logger doesn't log anymore.
+ * @type {Object<string, *>}
+ */
+var summaryTimeouts = {};
+
+/**
+ * Logs the summary of the messages suppressed by the rate limits of the given
+ * logger if it's due.
+ * @param {Logger} logger the logger instance.
+ * @param {RateLimitOptions} rateLimit the rate limits of the logger.
+ * @param {number} now the current time in milliseconds.
+ */
+function reportSuppressedMessages(logger, rateLimit, now) {
+    var summary = rateLimiter.takeSummary(rateLimit, logger.id, now);
+
+    if (summary) {
+        var args = [ summary ];
+        var context = Object.assign({}, globalOptions.context, logger.context);
+        var redaction = logger.options.redaction || globalOptions.redaction;
+        if (redaction) {
+            args = Redactor.redact(args, redaction);
+            context = Redactor.redact(context, redaction);
+        }
 
-            var fullLogParts = logPrefixes.concat(args);
+        dispatchRecord(logger, {
+            level: "warn",
+            severity: levels.warn,
+            loggerId: logger.id,
+            timestamp: now,
+            callerInfo: null,
+            args: args,
+            context: context
+        });
+    }
+}
+
+/**
+ * Schedules the report of the messages suppressed by the rate limits of
+ * the given logger unless it's already scheduled for the logger id.
+ * @param {Logger} logger the logger instance.
+ * @param {RateLimitOptions} rateLimit the rate limits of the logger.
+ * @param {number} now the current time in milliseconds.
+ */
+function scheduleSummary(logger, rateLimit, now) {
+    var key = logger.id || "";
+    var delay = rateLimiter.getSummaryDelay(rateLimit, logger.id, now);
+
+    if (summaryTimeouts[key] || delay === null) {
+        return;
+    }
+    summaryTimeouts[key] = setTimeout(function () {
+        var time = Date.now();
 
+        delete summaryTimeouts[key];
+        reportSuppressedMessages(logger, rateLimit, time);
+        // The messages suppressed after an earlier summary are reported later.
+        scheduleSummary(logger, rateLimit, time);
+    }, delay);
+    // Don't keep a Node process alive only in order to report them.
+    if (typeof summaryTimeouts[key].unref === "function") {
+        summaryTimeouts[key].unref();
+    }
+}
+
+/**
+ * Checks whether the given level passes the minimum level of the transport.
+ * @param {LoggerTransport} transport the transport.
+ * @param {string} level the log level.
+ * @returns {boolean}
+ */
+function transportAcceptsLevel(transport, level) {
+    var options = getTransportOptions(transport);
+
+    return !options || !options.level || levels[level] >= getSeverity(options.level);
+}
+
+/**
+ * Calls the log method of the transport for the level of the record with
+ * the record itself, the output of the formatter or the default console-style
+ * arguments, depending on the transport. Wrapping transports can use it to
+ * pass the records on.
+ * @param {LoggerTransport} transport the transport.
+ * @param {LogRecord} record the record to log.
+ * @param {Array} [logArguments] the default console-style arguments if they
+ * are already built.
+ */
+function sendRecord(transport, record, logArguments) {
+    var l = transport[record.level];
+    // The console methods patched by the console capture keep the original
+    // ones, which have to be used in order to avoid the recursion.
+    if (l && l.originalConsoleMethod) {
+        l = l.originalConsoleMethod;
+    }
+    var formatter = transport.formatter || globalOptions.formatter;
+
+    if (typeof l !== "function") {
+        return;
+    }
+    if (transport.acceptsRecords) {
+        l.call(transport, record);
+    } else if (formatter) {
+        l.apply(transport, formatter.formatArguments ?
+            formatter.formatArguments(record) : [ formatter.format(record) ]);
+    } else {
+        l.apply(transport, logArguments || getLogArguments(record));
+    }
+}
+Logger.sendRecord = sendRecord;
+
+/**
+ * Passes the log record to the transports of the logger.
+ * @param {Logger} logger the logger instance.
+ * @param {LogRecord} record the record to log.
+ */
+function dispatchRecord(logger, record) {
+    var level = record.level;
+    var logArguments = null;
+    var transports = globalTransports.concat(logger.transports);
+    for(var i = 0; i < transports.length; i++) {
+        var t = transports[i];
+        var l = t[level];
+        if(l && typeof(l) === "function" && transportAcceptsLevel(t, level)) {
             try {
-                l.bind(t).apply(t, fullLogParts);
+                var options = getTransportOptions(t);
+                if (options && options.filter && !options.filter(record)) {
+                    continue;
+                }
+                if (!t.acceptsRecords && !t.formatter && !globalOptions.formatter) {
+                    logArguments = logArguments || getLogArguments(record);
+                }
+                sendRecord(t, record, logArguments);
             } catch (error) {
                 // It would be nice to send the error to the logger but this could send us into an endless loop.
                 // That's why we use only console for logging here.
@@ -165,6 +465,134 @@ function log() {
     }
 }
 
+/**
+ * Logs messages using the transports and level from the logger.
+ * @param logger a logger instance.
+ * @param level the log level of the message. See the levels variable.
+ * @param arguments array with arguments that will be logged.
+ */
+function log() {
+    var logger = arguments[0], level = arguments[1],
+        args = Array.prototype.slice.call(arguments, 2);
+
+    logRecord(logger, level, args);
+}
+
+/**
+ * Logs messages like {@link log}, but the function arguments are invoked and
+ * replaced by their results only if the message passes the level and the limits
+ * of the logger and there's a transport for it.
+ * @param logger a logger instance.
+ * @param level the log level of the message. See the levels variable.
+ * @param arguments array with arguments that will be logged.
+ */
+function logLazy() {
+    var logger = arguments[0], level = arguments[1],
+        args = Array.prototype.slice.call(arguments, 2);
+
+    logRecord(logger, level, args, 0, true);
+}
+
+/**
+ * Logs the message with the given logger on behalf of a wrapper of the log
+ * methods, e.g. a patched <tt>console</tt> method, so that the caller info
+ * points to the caller of the wrapper. The module of the wrapper has to be
+ * added with {@link Logger.addInternalFileLocation}.
+ * @param {Logger} logger the logger instance.
+ * @param {string} level the log level of the message.
+ * @param {Array} args the arguments to be logged.
+ */
+Logger.logFromWrapper = function (logger, level, args) {
+    logRecord(logger, level, args, 1);
+};
+
+/**
+ * Checks whether any of the transports of the logger has a method for
+ * the given level.
+ * @param {Logger} logger the logger instance.
+ * @param {string} level the log level.
+ * @returns {boolean}
+ */
+function hasTransportFor(logger, level) {
+    return globalTransports.concat(logger.transports).some(function (t) {
+        return typeof t[level] === "function" && transportAcceptsLevel(t, level);
+    });
+}
+
+/**
+ * Invokes the function arguments and replaces them by their results.
+ * @param {Array} args the logged arguments.
+ * @returns {Array} the evaluated arguments.
+ */
+function evaluateLazyArgs(args) {
+    return args.map(function (arg) {
+        if (typeof arg !== "function") {
+            return arg;
+        }
+        try {
+            return arg();
+        } catch (error) {
+            return error;
+        }
+    });
+}
+
+/**
+ * Creates the log record of the message if the logger's level and limits allow
+ * it and passes it to the transports. It has to be called directly by the log
+ * method the caller has called in order to find the caller's frame.
+ * @param {Logger} logger the logger instance.
+ * @param {string} level the log level of the message.
+ * @param {Array} args the arguments to be logged.
+ * @param {number} [extraDepth] the number of logger-internal frames between
+ * the log method and this function, see {@link getCallerInfo}.
+ * @param {boolean} [lazy] whether the function arguments are to be evaluated
+ * once it's known that the message will be logged.
+ */
+function logRecord(logger, level, args, extraDepth, lazy) {
+    if(levels[level] < logger.level) {
+        return;
+    }
+    if (lazy && !hasTransportFor(logger, level)) {
+        return;
+    }
+
+    var now = Date.now();
+    var context = Object.assign({}, globalOptions.context, logger.context);
+    var rateLimit = logger.options.rateLimit || globalOptions.rateLimit;
+    if (rateLimit) {
+        var allowed = rateLimiter.allow(rateLimit, logger.id, level, now, args);
+        reportSuppressedMessages(logger, rateLimit, now);
+        if (!allowed) {
+            scheduleSummary(logger, rateLimit, now);
+            return;
+        }
+    }
+
+    if (lazy) {
+        args = evaluateLazyArgs(args);
+    }
+
+    var redaction = logger.options.redaction || globalOptions.redaction;
+    if (redaction) {
+        args = Redactor.redact(args, redaction);
+        context = Redactor.redact(context, redaction);
+    }
+
+    var callerInfo
+        = !(logger.options.disableCallerInfo || globalOptions.disableCallerInfo) &&
+            getCallerInfo(extraDepth);
+    dispatchRecord(logger, {
+        level: level,
+        severity: levels[level],
+        loggerId: logger.id,
+        timestamp: now,
+        callerInfo: callerInfo || null,
+        args: args,
+        context: context
+    });
+}
+
 /**
  *
  * Constructs new logger object.
@@ -172,32 +600,215 @@ function log() {
  * @param id optional identifier for the logger instance.
  * @param {LoggerTransport} transports optional list of handlers(objects) for
  * the logs. The handlers must support - log, warn, error, debug, info, trace.
+ * A handler with the <tt>acceptsRecords</tt> flag set receives a single
+ * {@link LogRecord} per call instead of the console-style arguments. A handler
+ * with a <tt>formatter</tt> receives the output of the {@link LogFormatter}.
  * @param options optional configuration file for how the logger should behave.
  * @param {boolean} options.disableCallerInfo Whether the call site of a logger
  * method invocation should be included in the log. Defaults to false, so the
  * call site will be included.
+ * @param {RateLimitOptions} options.rateLimit the limits which override
+ * the global ones for this logger.
+ * @param {RedactionRules} options.redaction the redaction rules which override
+ * the global ones for this logger.
  */
 function Logger(level, id, transports, options) {
     this.id = id;
     this.options = options || {};
     this.transports = transports;
+    /**
+     * The fields bound to this logger which are passed to the transports as
+     * the context of each {@link LogRecord}.
+     * @type {Object}
+     */
+    this.context = {};
     if(!this.transports) {
         this.transports = [];
     }
-    this.level = levels[level];
+    this.level = getSeverity(level);
+    bindLogMethods(this);
+}
+
+/**
+ * Binds the log method and its lazy variant, e.g. <tt>debug</tt> and
+ * <tt>debugLazy</tt>, for each of the levels to the given logger.
+ * @param {Logger} logger the logger.
+ */
+function bindLogMethods(logger) {
     var methods = Object.keys(levels);
     for(var i = 0; i < methods.length; i++){
-        this[methods[i]] =
-            log.bind(null, this, methods[i]);
+        logger[methods[i]] =
+            log.bind(null, logger, methods[i]);
+        logger[methods[i] + "Lazy"] =
+            logLazy.bind(null, logger, methods[i]);
     }
 }
 
+/**
+ * Creates a child logger which carries the given fields in addition to the
+ * context of this logger. The child shares the id, the transports and
+ * the options of this logger and follows its level until a level is set on
+ * the child directly.
+ * @param {Object} context the fields to bind, e.g. <tt>{ room, endpointId }</tt>.
+ * @returns {Logger} the child logger.
+ */
+Logger.prototype.child = function (context) {
+    var child = Object.create(this);
+
+    child.context = Object.assign({}, this.context, context);
+    bindLogMethods(child);
+
+    return child;
+};
+
+/**
+ * Starts a timer with the given label, see {@link Logger#timeEnd}.
+ * @param {string} label the label of the timer.
+ */
+Logger.prototype.time = function (label) {
+    if (!this.hasOwnProperty("timers")) {
+        this.timers = {};
+    }
+    this.timers[label] = Date.now();
+};
+
+/**
+ * Stops the timer with the given label and logs the elapsed time, e.g.
+ * "conference join took 1200 ms".
+ * @param {string} label the label of the timer.
+ * @param {string} [level] the log level of the message. Defaults to
+ * <tt>info</tt>.
+ * @returns {number|undefined} the elapsed time in milliseconds or
+ * <tt>undefined</tt> if the timer doesn't exist.
+ */
+Logger.prototype.timeEnd = function (label, level) {
+    var start = this.hasOwnProperty("timers") ? this.timers[label] : undefined;
+
+    if (typeof start !== "number") {
+        return undefined;
+    }
+    delete this.timers[label];
+
+    var duration = Date.now() - start;
+    logRecord(this, level || "info", [ label + " took " + duration + " ms" ]);
+
+    return duration;
+};
+
+/**
+ * Ends the span and logs its duration. Any subsequent calls are ignored.
+ * @param {Logger} span the span logger.
+ * @param {Object} [fields] the fields logged with the end of the span.
+ * @returns {number|undefined} the duration in milliseconds.
+ */
+function endSpan(span, fields) {
+    if (span.spanEnded) {
+        return undefined;
+    }
+    span.spanEnded = true;
+
+    var duration = Date.now() - span.spanStart;
+    logRecord(span, "info", [ span.spanName + " ended in " + duration + " ms" ]
+        .concat(fields ? [ fields ] : []));
+    TraceEvents.addSpan({
+        name: span.spanName,
+        loggerId: span.id,
+        traceId: span.context.traceId,
+        spanId: span.context.spanId,
+        parentSpanId: span.context.parentSpanId,
+        start: span.spanStart,
+        duration: duration,
+        fields: Object.assign({}, span.spanFields, fields)
+    });
+
+    return duration;
+}
+
+/**
+ * Starts a span - a child logger whose messages carry the <tt>traceId</tt>,
+ * the <tt>spanId</tt> and the <tt>parentSpanId</tt> of the span in their
+ * context. The spans started from a span are nested in it and share its
+ * <tt>traceId</tt>. The start and the end of the span are logged and
+ * the completed spans can be exported as trace events.
+ * @param {string} name the name of the span, e.g. "session-initiate".
+ * @param {Object} [fields] the fields bound to the span like to a child logger.
+ * @returns {Logger} the span logger with the <tt>end([fields])</tt> method
+ * which ends the span and returns its duration in milliseconds.
+ */
+Logger.prototype.span = function (name, fields) {
+    var span = this.child(Object.assign({}, fields, {
+        traceId: this.context.traceId || TraceEvents.generateId(32),
+        spanId: TraceEvents.generateId(16),
+        parentSpanId: this.context.spanId
+    }));
+
+    if (!span.context.parentSpanId) {
+        delete span.context.parentSpanId;
+    }
+    span.spanName = name;
+    span.spanFields = fields;
+    span.spanStart = Date.now();
+    span.spanEnded = false;
+    span.end = endSpan.bind(null, span);
+    logRecord(span, "info", [ name + " started" ]);
+
+    return span;
+};
+
+/**
+ * Checks whether the messages of the given level would be passed to any
+ * transport, so that expensive logging code can be skipped otherwise. The rate
+ * limits and the sampling are not taken into account.
+ * @param {string} level the log level, see {@link Logger.levels}.
+ * @returns {boolean}
+ */
+Logger.prototype.isLevelEnabled = function (level) {
+    return levels[level] >= this.level && hasTransportFor(this, level);
+};
+
 /**
  * Sets the log level for the logger.
- * @param level the new log level.
+ * @param level the new log level or {@link Logger.LEVEL_OFF} to disable
+ * the logger.
  */
 Logger.prototype.setLevel = function (level) {
-    this.level = levels[level];
+    if (this.disposed) {
+        return;
+    }
+    this.level = getSeverity(level);
+};
+
+/**
+ * Returns the log level of the logger.
+ * @returns {string} the log level or {@link Logger.LEVEL_OFF}.
+ */
+Logger.prototype.getLevel = function () {
+    var level = Object.keys(levels).filter(function (l) {
+        return levels[l] === this.level;
+    }, this)[0];
+
+    return level || Logger.LEVEL_OFF;
+};
+
+/**
+ * Returns the transports the logger logs to, the global ones followed by
+ * the logger's own ones.
+ * @returns {LoggerTransport[]}
+ */
+Logger.prototype.getTransports = function () {
+    return globalTransports.concat(this.transports);
+};
+
+/**
+ * Disposes the logger when it's no longer needed, e.g. when a participant
+ * leaves. The logger stops logging and releases its transports and context.
+ * It's removed from the registry of the loggers whose levels are managed.
+ */
+Logger.prototype.dispose = function () {
+    this.disposed = true;
+    this.level = getSeverity(Logger.LEVEL_OFF);
+    this.transports = [];
+    this.context = {};
 };
 module.exports = Logger;
 
@@ -212,3 +823,9 @@ Logger.levels = {
     WARN: "warn",
     ERROR: "error"
 };
+
+/**
+ * The pseudo log level which disables all the log methods of a logger. It can
+ * be used wherever a log level is expected in order to silence loggers.
+ */
+Logger.LEVEL_OFF = "off";
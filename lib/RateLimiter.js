@@ -0,0 +1,250 @@
+/* Copyright @ 2015-present 8x8, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * The default interval in milliseconds between the summaries of suppressed
+ * messages.
+ */
+var DEFAULT_SUMMARY_INTERVAL = 10000;
+
+/**
+ * The max number of the message templates of a logger id whose limits are
+ * tracked. The oldest ones are forgotten when it's exceeded.
+ */
+var MAX_TEMPLATES = 1000;
+
+/**
+ * The rate limiting configuration.
+ *
+ * @typedef {object} RateLimitOptions
+ *
+ * @property {number} [rate] the number of messages per second allowed for
+ * a logger id.
+ * @property {number} [burst] the number of messages a logger id can log at
+ * once before the rate applies. Defaults to the rate.
+ * @property {Object<string, {rate: number, burst: number}>} [levels] the limits
+ * for the messages of a log level of a logger id.
+ * @property {{rate: number, burst: number}} [templates] the limits for
+ * the messages of a template of a logger id, see {@link getTemplate}.
+ * @property {Object<string, number>} [sampleRates] the probability (from 0 to 1)
+ * of a message of the log level to be logged, e.g.
+ * <tt>{ trace: 0.01, debug: 0.1 }</tt>.
+ * @property {number} [summaryInterval] how often in milliseconds the number of
+ * the suppressed messages is reported. Defaults to 10000.
+ */
+
+/**
+ * Creates a token bucket.
+ * @param {number} now the current time in milliseconds.
+ * @param {number} burst the size of the bucket.
+ * @returns {{tokens: number, updated: number}}
+ */
+function createBucket(now, burst) {
+    return {
+        tokens: burst,
+        updated: now
+    };
+}
+
+/**
+ * Refills the bucket according to the time elapsed since the last update.
+ * @param {Object} bucket the bucket.
+ * @param {{rate: number, burst: number}} limit the limit of the bucket.
+ * @param {number} now the current time in milliseconds.
+ * @returns {boolean} whether the bucket has a token.
+ */
+function refillBucket(bucket, limit, now) {
+    var burst = limit.burst || limit.rate;
+
+    bucket.tokens = Math.min(
+        burst, bucket.tokens + (now - bucket.updated) * limit.rate / 1000);
+    bucket.updated = now;
+
+    return bucket.tokens >= 1;
+}
+
+/**
+ * Returns the template of the message with the given arguments, which is
+ * the first argument with the numbers masked if it's a string, so that e.g.
+ * "Stats for 1234" and "Stats for 5678" have the same template.
+ * @param {Array} args the logged arguments.
+ * @returns {string} the template or an empty string if the first argument is
+ * not a string.
+ */
+function getTemplate(args) {
+    var first = args && args[0];
+
+    return typeof first === "string" ? first.replace(/\d+(?:\.\d+)?/g, "<n>") : "";
+}
+
+/**
+ * Creates new <tt>RateLimiter</tt> which enforces token bucket limits per
+ * logger id, per log level and per message template of a logger id and
+ * samples the messages of
+ * the configured log levels. It keeps the state per logger id, so that all
+ * the loggers with the same id share the limits.
+ *
+ * @constructor
+ */
+function RateLimiter() {
+    /**
+     * The state of the limits by logger id.
+     * @type {Object<string, Object>}
+     */
+    this.states = {};
+}
+
+/**
+ * Returns the state for the given logger id.
+ * @param {string} loggerId the logger id.
+ * @param {number} now the current time in milliseconds.
+ * @returns {Object}
+ * @private
+ */
+RateLimiter.prototype._getState = function (loggerId, now) {
+    var key = loggerId || "";
+
+    this.states[key] = this.states[key] || {
+        bucket: null,
+        levelBuckets: {},
+        templateBuckets: {},
+        suppressed: {},
+        suppressedSince: now
+    };
+
+    return this.states[key];
+};
+
+/**
+ * Checks whether a message can be logged and consumes a token of the limits if
+ * so. Otherwise counts the message as suppressed.
+ * @param {RateLimitOptions} options the rate limiting configuration.
+ * @param {string} loggerId the id of the logger.
+ * @param {string} level the log level of the message.
+ * @param {number} now the current time in milliseconds.
+ * @param {Array} [args] the logged arguments of the message.
+ * @returns {boolean} <tt>true</tt> if the message can be logged.
+ */
+RateLimiter.prototype.allow = function (options, loggerId, level, now, args) {
+    var state = this._getState(loggerId, now);
+    var sampleRate = options.sampleRates && options.sampleRates[level];
+    var levelLimit = options.levels && options.levels[level];
+    var templateLimit = options.templates;
+    var template = templateLimit && templateLimit.rate ? getTemplate(args) : null;
+    var allowed = true;
+
+    if (typeof sampleRate === "number" && Math.random() >= sampleRate) {
+        allowed = false;
+    }
+
+    if (allowed && options.rate) {
+        state.bucket = state.bucket || createBucket(now, options.burst || options.rate);
+        allowed = refillBucket(state.bucket, options, now);
+    }
+
+    if (allowed && levelLimit && levelLimit.rate) {
+        state.levelBuckets[level] = state.levelBuckets[level] ||
+            createBucket(now, levelLimit.burst || levelLimit.rate);
+        allowed = refillBucket(state.levelBuckets[level], levelLimit, now);
+    }
+
+    if (allowed && template !== null) {
+        if (!state.templateBuckets.hasOwnProperty(template)) {
+            var templates = Object.keys(state.templateBuckets);
+            if (templates.length >= MAX_TEMPLATES) {
+                delete state.templateBuckets[templates[0]];
+            }
+            state.templateBuckets[template] =
+                createBucket(now, templateLimit.burst || templateLimit.rate);
+        }
+        allowed = refillBucket(state.templateBuckets[template], templateLimit, now);
+    }
+
+    if (allowed) {
+        if (state.bucket) {
+            state.bucket.tokens -= 1;
+        }
+        if (state.levelBuckets[level]) {
+            state.levelBuckets[level].tokens -= 1;
+        }
+        if (template !== null) {
+            state.templateBuckets[template].tokens -= 1;
+        }
+    } else {
+        if (!Object.keys(state.suppressed).length) {
+            state.suppressedSince = now;
+        }
+        state.suppressed[level] = (state.suppressed[level] || 0) + 1;
+    }
+
+    return allowed;
+};
+
+/**
+ * Returns the summary of the messages suppressed for the given logger id if
+ * the summary interval has elapsed since the last one. The counts are reset
+ * then.
+ * @param {RateLimitOptions} options the rate limiting configuration.
+ * @param {string} loggerId the id of the logger.
+ * @param {number} now the current time in milliseconds.
+ * @returns {string|null} the summary or <tt>null</tt> if there's nothing to
+ * report yet.
+ */
+RateLimiter.prototype.takeSummary = function (options, loggerId, now) {
+    var state = this._getState(loggerId, now);
+    var interval = options.summaryInterval || DEFAULT_SUMMARY_INTERVAL;
+    var levels = Object.keys(state.suppressed);
+
+    if (!levels.length || now - state.suppressedSince < interval) {
+        return null;
+    }
+
+    var total = 0;
+    var counts = levels.map(function (level) {
+        total += state.suppressed[level];
+        return level + ": " + state.suppressed[level];
+    });
+    var summary = "Suppressed " + total + " messages (" + counts.join(", ") +
+        ") in the last " + (now - state.suppressedSince) + " ms";
+
+    state.suppressed = {};
+    state.suppressedSince = now;
+
+    return summary;
+};
+
+/**
+ * Returns the time until the summary of the messages suppressed for the given
+ * logger id is due, see {@link takeSummary}.
+ * @param {RateLimitOptions} options the rate limiting configuration.
+ * @param {string} loggerId the id of the logger.
+ * @param {number} now the current time in milliseconds.
+ * @returns {number|null} the delay in milliseconds or <tt>null</tt> if no
+ * messages have been suppressed.
+ */
+RateLimiter.prototype.getSummaryDelay = function (options, loggerId, now) {
+    var state = this._getState(loggerId, now);
+    var interval = options.summaryInterval || DEFAULT_SUMMARY_INTERVAL;
+
+    if (!Object.keys(state.suppressed).length) {
+        return null;
+    }
+
+    return Math.max(0, interval - (now - state.suppressedSince));
+};
+
+RateLimiter.getTemplate = getTemplate;
+
+module.exports = RateLimiter;
@@ -0,0 +1,219 @@
+/* Copyright @ 2015-present 8x8, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * The redaction rules.
+ *
+ * @typedef {object} RedactionRules
+ *
+ * @property {string[]} [keys] the names of the object properties whose values
+ * are masked, compared case-insensitively, e.g. <tt>[ "password", "token" ]</tt>.
+ * @property {RegExp[]} [patterns] the patterns masked in strings.
+ * @property {string[]} [builtIn] the names of the built-in patterns to mask,
+ * see {@link builtInPatterns}.
+ * @property {string} [replacement] the text which replaces the masked data.
+ * Defaults to "[REDACTED]".
+ * @property {number} [maxDepth] how deep the objects are traversed. Deeper
+ * objects are replaced by "[Max depth]". Defaults to 10.
+ */
+
+/**
+ * The default replacement of the masked data.
+ */
+var DEFAULT_REPLACEMENT = "[REDACTED]";
+
+/**
+ * The default max depth of the traversed objects.
+ */
+var DEFAULT_MAX_DEPTH = 10;
+
+/**
+ * The built-in patterns which can be enabled by name.
+ */
+var builtInPatterns = {
+    /**
+     * JSON Web Tokens.
+     */
+    jwt: /\beyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/g,
+    /**
+     * E-mail addresses.
+     */
+    email: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g,
+    /**
+     * The certificate fingerprints in SDP, e.g. the hex digits of
+     * "a=fingerprint:sha-256 AB:CD:...".
+     */
+    fingerprint: /\b(?:[0-9A-Fa-f]{2}:){15,}[0-9A-Fa-f]{2}\b/g
+};
+
+/**
+ * Checks whether the given object behaves like a <tt>Map</tt>, e.g.
+ * the <tt>RTCStatsReport</tt>.
+ * @param {Object} obj the object.
+ * @returns {boolean}
+ */
+function isMapLike(obj) {
+    return typeof obj.forEach === "function" && typeof obj.get === "function" &&
+        typeof obj.has === "function";
+}
+
+/**
+ * Checks whether the given object is a <tt>Set</tt>.
+ * @param {Object} obj the object.
+ * @returns {boolean}
+ */
+function isSet(obj) {
+    return Object.prototype.toString.call(obj) === "[object Set]";
+}
+
+/**
+ * Checks whether the given object holds binary data, e.g. a typed array,
+ * which can't contain sensitive properties.
+ * @param {Object} obj the object.
+ * @returns {boolean}
+ */
+function isBinary(obj) {
+    return typeof ArrayBuffer !== "undefined" &&
+        (obj instanceof ArrayBuffer || ArrayBuffer.isView(obj));
+}
+
+/**
+ * Masks the data matching the given rules in a string.
+ * @param {string} str the string.
+ * @param {RegExp[]} patterns the patterns to mask.
+ * @param {string} replacement the replacement of the masked data.
+ * @returns {string}
+ */
+function redactString(str, patterns, replacement) {
+    for (var i = 0; i < patterns.length; i++) {
+        str = str.replace(patterns[i], replacement);
+    }
+    return str;
+}
+
+/**
+ * Returns a copy of the given value with the data matching the rules masked.
+ * Strings, arrays, errors, maps, sets and the own enumerable properties of
+ * the other objects, including the class instances, are redacted. The objects
+ * without such properties, e.g. dates, and the binary data are returned as
+ * they are. Circular references are replaced by "[Circular]", so that
+ * the original objects don't leak through them.
+ * @param {*} value the value to redact.
+ * @param {RedactionRules} rules the redaction rules.
+ * @returns {*} the redacted value.
+ */
+function redact(value, rules) {
+    var replacement = rules.replacement || DEFAULT_REPLACEMENT;
+    var maxDepth = typeof rules.maxDepth === "number" ? rules.maxDepth : DEFAULT_MAX_DEPTH;
+    var keys = (rules.keys || []).map(function (key) {
+        return key.toLowerCase();
+    });
+    var patterns = (rules.patterns || []).concat(
+        (rules.builtIn || []).map(function (name) {
+            return builtInPatterns[name];
+        }).filter(Boolean));
+    var seen = [];
+    var redactValue;
+
+    var isMaskedKey = function (key) {
+        return typeof key === "string" && keys.indexOf(key.toLowerCase()) !== -1;
+    };
+
+    // Copies the own enumerable properties of the object to the target.
+    var redactProperties = function (v, target, depth) {
+        Object.keys(v).forEach(function (key) {
+            target[key] = isMaskedKey(key) ? replacement : redactValue(v[key], depth + 1);
+        });
+
+        return target;
+    };
+
+    redactValue = function (v, depth) {
+        if (typeof v === "string") {
+            return redactString(v, patterns, replacement);
+        }
+        if (!v || typeof v !== "object") {
+            return v;
+        }
+        if (seen.indexOf(v) !== -1) {
+            return "[Circular]";
+        }
+        if (v instanceof Error) {
+            var error = Object.create(Object.getPrototypeOf(v));
+
+            seen.push(v);
+            redactProperties(v, error, depth);
+            // The name and the cause are usually not enumerable, so they're
+            // copied the same way.
+            if (v.name !== error.name) {
+                Object.defineProperty(error, "name", {
+                    value: v.name,
+                    writable: true,
+                    configurable: true
+                });
+            }
+            if (typeof v.cause !== "undefined") {
+                Object.defineProperty(error, "cause", {
+                    value: redactValue(v.cause, depth + 1),
+                    writable: true,
+                    configurable: true
+                });
+            }
+            seen.pop();
+            error.message = redactString(v.message || "", patterns, replacement);
+            error.stack = v.stack && redactString(v.stack, patterns, replacement);
+            return error;
+        }
+        var mapLike = isMapLike(v);
+        var set = !mapLike && isSet(v);
+
+        if (isBinary(v) || (!mapLike && !set && !Array.isArray(v) && !Object.keys(v).length)) {
+            return v;
+        }
+        if (depth >= maxDepth) {
+            // Don't let the data below the max depth through unredacted.
+            return "[Max depth]";
+        }
+
+        var copy;
+        seen.push(v);
+        if (mapLike) {
+            copy = new Map();
+            v.forEach(function (value, key) {
+                copy.set(key, isMaskedKey(key) ? replacement : redactValue(value, depth + 1));
+            });
+        } else if (set) {
+            copy = new Set();
+            v.forEach(function (value) {
+                copy.add(redactValue(value, depth + 1));
+            });
+        } else {
+            // The class instances keep their prototype, so that they're still
+            // recognized by their type.
+            copy = redactProperties(
+                v, Array.isArray(v) ? [] : Object.create(Object.getPrototypeOf(v)), depth);
+        }
+        seen.pop();
+
+        return copy;
+    };
+
+    return redactValue(value, 0);
+}
+
+module.exports = {
+    builtInPatterns: builtInPatterns,
+    redact: redact
+};
@@ -0,0 +1,184 @@
+/* Copyright @ 2015-present 8x8, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+var Logger = require("./Logger");
+var Formatters = require("./Formatters");
+var Serializer = require("./Serializer");
+
+/**
+ * The criteria of the records returned by {@link RingBufferTransport#query}.
+ *
+ * @typedef {object} RingBufferQuery
+ *
+ * @property {number} [since] the min timestamp of the records in milliseconds.
+ * @property {number} [until] the max timestamp of the records in milliseconds.
+ * @property {string} [level] the min level of the records.
+ * @property {string} [loggerId] the id of the logger of the records.
+ */
+
+/**
+ * The severity of the levels by name.
+ */
+var severities = {};
+Object.keys(Logger.levels).forEach(function (key, i) {
+    severities[Logger.levels[key]] = i;
+});
+
+/**
+ * Creates new <tt>RingBufferTransport</tt>. Class implements
+ * <tt>LoggerTransport</tt> and keeps the most recent {@link LogRecord}s in
+ * memory, so that they can be attached to a bug report on demand. The oldest
+ * records are evicted when any of the limits is exceeded.
+ *
+ * The transport receives only the messages which pass the level of
+ * the loggers. In order to keep the messages hidden from the console, set
+ * the level of the loggers low and set the level of the console transport with
+ * <tt>setTransportOptions</tt>.
+ *
+ * @param {Object} [options] the <tt>RingBufferTransport</tt> configuration
+ * options.
+ * @param {number} options.maxEntries the max number of records kept. Defaults
+ * to 1000.
+ * @param {number} options.maxBytes the max total length of the serialized
+ * arguments of the records kept. Defaults to 1000000.
+ * @param {number} options.maxAge the max age of the records kept in
+ * milliseconds. The age is not limited by default.
+ * @param {SerializerOptions} options.serializer the limits of
+ * the serialization of the arguments. The arguments are serialized when
+ * a record is received, so that their later changes don't affect the buffer.
+ * @param {function(): number} options.now the clock returning the current time
+ * in milliseconds. Defaults to <tt>Date.now</tt>.
+ *
+ * @constructor
+ */
+function RingBufferTransport(options) {
+    var opts = options || {};
+
+    this.maxEntries = opts.maxEntries || 1000;
+    this.maxBytes = opts.maxBytes || 1000000;
+    this.maxAge = opts.maxAge || 0;
+    this.serializerOptions = opts.serializer;
+    this.now = opts.now || Date.now;
+    /**
+     * Tells the <tt>Logger</tt> to call the log methods with
+     * <tt>LogRecord</tt>s.
+     * @type {boolean}
+     */
+    this.acceptsRecords = true;
+    /**
+     * The kept records with their sizes, from the oldest one.
+     * @type {Array<{record: LogRecord, size: number}>}
+     */
+    this.entries = [];
+    /**
+     * The total size of the kept records.
+     * @type {number}
+     */
+    this.totalBytes = 0;
+
+    Object.values(Logger.levels).forEach(function (logLevel) {
+        this[logLevel] = function (record) {
+            this._add(record);
+        }.bind(this);
+    }.bind(this));
+}
+
+/**
+ * Adds a copy of the record with the serialized arguments to the buffer.
+ * @param {LogRecord} record the log record.
+ * @private
+ */
+RingBufferTransport.prototype._add = function (record) {
+    var args = record.args.map(function (arg) {
+        // Keep the errors readable in the text export.
+        return arg instanceof Error ?
+            arg.stack || String(arg) : Serializer.toSerializable(arg, this.serializerOptions);
+    }, this);
+    var copy = Object.assign({}, record, {
+        args: args,
+        context: Object.assign({}, record.context)
+    });
+    var size = JSON.stringify(args).length;
+
+    this.entries.push({
+        record: copy,
+        size: size
+    });
+    this.totalBytes += size;
+    this._evict();
+};
+
+/**
+ * Evicts the oldest records over the limits.
+ * @private
+ */
+RingBufferTransport.prototype._evict = function () {
+    var minTimestamp = this.maxAge ? this.now() - this.maxAge : -Infinity;
+
+    while (this.entries.length &&
+            (this.entries.length > this.maxEntries ||
+                this.totalBytes > this.maxBytes ||
+                this.entries[0].record.timestamp < minTimestamp)) {
+        this.totalBytes -= this.entries.shift().size;
+    }
+};
+
+/**
+ * Returns the kept records matching the given criteria.
+ * @param {RingBufferQuery} [query] the criteria. All the records are returned
+ * if not given.
+ * @returns {LogRecord[]} the records from the oldest one.
+ */
+RingBufferTransport.prototype.query = function (query) {
+    var q = query || {};
+    var minSeverity = q.level ? severities[q.level] : -Infinity;
+
+    this._evict();
+
+    return this.entries.map(function (entry) {
+        return entry.record;
+    }).filter(function (record) {
+        return (typeof q.since !== "number" || record.timestamp >= q.since) &&
+            (typeof q.until !== "number" || record.timestamp <= q.until) &&
+            severities[record.level] >= minSeverity &&
+            (typeof q.loggerId === "undefined" || record.loggerId === q.loggerId);
+    });
+};
+
+/**
+ * Exports the kept records matching the given criteria, e.g. in order to
+ * attach them to a bug report.
+ * @param {string|LogFormatter} [format] "text", "jsonLines" or a formatter.
+ * Defaults to "text".
+ * @param {RingBufferQuery} [query] the criteria of the exported records.
+ * @returns {string} the formatted records, one per line.
+ */
+RingBufferTransport.prototype.export = function (format, query) {
+    var formatter = format && typeof format === "object" ?
+        format : Formatters[format || "text"]();
+
+    return this.query(query).map(function (record) {
+        return formatter.format(record);
+    }).join("\n");
+};
+
+/**
+ * Removes all the kept records.
+ */
+RingBufferTransport.prototype.clear = function () {
+    this.entries = [];
+    this.totalBytes = 0;
+};
+
+module.exports = RingBufferTransport;
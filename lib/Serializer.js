@@ -0,0 +1,264 @@
+/* Copyright @ 2016-present 8x8, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * The limits of the serialization.
+ *
+ * @typedef {object} SerializerOptions
+ *
+ * @property {number} [maxDepth] how deep the objects are serialized. Deeper
+ * objects are replaced by "[Object]" or "[Array]". Defaults to 10.
+ * @property {number} [maxArrayLength] the max number of serialized items of
+ * arrays, sets, maps and typed arrays. Defaults to 100.
+ * @property {number} [maxStringLength] the max length of serialized strings.
+ * Defaults to 10000.
+ */
+
+/**
+ * The default limits of the serialization.
+ */
+var DEFAULT_OPTIONS = {
+    maxDepth: 10,
+    maxArrayLength: 100,
+    maxStringLength: 10000
+};
+
+/**
+ * Returns the name of the type of the given object, e.g. "Map".
+ * @param {Object} obj the object.
+ * @returns {string}
+ */
+function getTypeName(obj) {
+    var tag = Object.prototype.toString.call(obj);
+
+    return tag.substring(8, tag.length - 1);
+}
+
+/**
+ * Checks whether the given object is a typed array.
+ * @param {Object} obj the object.
+ * @returns {boolean}
+ */
+function isTypedArray(obj) {
+    return typeof ArrayBuffer !== "undefined" && ArrayBuffer.isView(obj) &&
+        !(typeof DataView !== "undefined" && obj instanceof DataView);
+}
+
+/**
+ * Checks whether the given object behaves like a read only <tt>Map</tt>, e.g.
+ * the <tt>RTCStatsReport</tt>.
+ * @param {Object} obj the object.
+ * @returns {boolean}
+ */
+function isMapLike(obj) {
+    return typeof obj.forEach === "function" && typeof obj.get === "function" &&
+        typeof obj.has === "function";
+}
+
+/**
+ * Checks whether the given object is a DOM node.
+ * @param {Object} obj the object.
+ * @returns {boolean}
+ */
+function isDomNode(obj) {
+    return typeof obj.nodeType === "number" && typeof obj.nodeName === "string";
+}
+
+/**
+ * Describes the given DOM node the way it's selected in CSS, e.g.
+ * "<video#largeVideo.flipVideoX>".
+ * @param {Node} node the DOM node.
+ * @returns {string}
+ */
+function describeDomNode(node) {
+    var description = node.nodeName.toLowerCase();
+
+    if (node.id) {
+        description += "#" + node.id;
+    }
+    if (typeof node.className === "string" && node.className) {
+        description += "." + node.className.trim().split(/\s+/).join(".");
+    }
+
+    return "<" + description + ">";
+}
+
+/**
+ * Converts the given value to a structure which can be passed to
+ * <tt>JSON.stringify</tt> without losing the information about the special
+ * objects. The circular references are replaced by markers with the path of
+ * the referenced object, e.g. "[Circular $.a.b]".
+ * @param {*} value the value to convert.
+ * @param {SerializerOptions} [options] the limits of the serialization.
+ * @returns {*} the JSON compatible structure.
+ */
+function toSerializable(value, options) {
+    var opts = Object.assign({}, DEFAULT_OPTIONS, options);
+    var ancestors = [];
+    var ancestorPaths = [];
+    var convert;
+
+    var truncateString = function (str) {
+        if (str.length <= opts.maxStringLength) {
+            return str;
+        }
+        return str.substr(0, opts.maxStringLength) + "... (" +
+            (str.length - opts.maxStringLength) + " more characters)";
+    };
+
+    var convertItems = function (items, path, depth) {
+        var result = [];
+        for (var i = 0; i < items.length && i < opts.maxArrayLength; i++) {
+            result.push(convert(items[i], path + "[" + i + "]", depth + 1));
+        }
+        if (items.length > opts.maxArrayLength) {
+            result.push("... " + (items.length - opts.maxArrayLength) + " more items");
+        }
+        return result;
+    };
+
+    var convertError = function (error, path, depth) {
+        var result = {
+            "@type": error.name || getTypeName(error),
+            message: convert(error.message, path + ".message", depth + 1),
+            stack: convert(error.stack, path + ".stack", depth + 1)
+        };
+        Object.keys(error).forEach(function (key) {
+            result[key] = convert(error[key], path + "." + key, depth + 1);
+        });
+        if (typeof error.cause !== "undefined") {
+            result.cause = convert(error.cause, path + ".cause", depth + 1);
+        }
+        return result;
+    };
+
+    var convertObject = function (obj, path, depth) {
+        var entries;
+        var type = getTypeName(obj);
+
+        if (Array.isArray(obj)) {
+            return convertItems(obj, path, depth);
+        }
+        if (obj instanceof Error) {
+            return convertError(obj, path, depth);
+        }
+        if (isTypedArray(obj)) {
+            return {
+                "@type": type,
+                length: obj.length,
+                values: convertItems(obj, path, depth)
+            };
+        }
+        if (type === "Set") {
+            var values = [];
+            obj.forEach(function (v) {
+                values.push(v);
+            });
+            return {
+                "@type": "Set",
+                values: convertItems(values, path, depth)
+            };
+        }
+        if (type === "Map" || isMapLike(obj)) {
+            entries = [];
+            obj.forEach(function (v, k) {
+                entries.push([ k, v ]);
+            });
+            return {
+                "@type": type,
+                entries: convertItems(entries, path, depth)
+            };
+        }
+        if (typeof obj.toJSON === "function") {
+            return convert(obj.toJSON(), path, depth);
+        }
+
+        var result = {};
+        Object.keys(obj).forEach(function (key) {
+            var v = obj[key];
+            if (typeof v !== "undefined") {
+                result[key] = convert(v, path + "." + key, depth + 1);
+            }
+        });
+        return result;
+    };
+
+    convert = function (v, path, depth) {
+        switch (typeof v) {
+        case "string":
+            return truncateString(v);
+        case "number":
+            return isFinite(v) ? v : String(v);
+        case "bigint":
+            return v.toString() + "n";
+        case "symbol":
+            return v.toString();
+        case "function":
+            return "[Function " + (v.name || "anonymous") + "]";
+        case "undefined":
+            return "[undefined]";
+        }
+        if (v === null || typeof v !== "object") {
+            return v;
+        }
+        if (v instanceof Date) {
+            return isNaN(v.getTime()) ? "Invalid Date" : v.toISOString();
+        }
+        if (isDomNode(v)) {
+            return describeDomNode(v);
+        }
+
+        var ancestorIdx = ancestors.indexOf(v);
+        if (ancestorIdx !== -1) {
+            return "[Circular " + ancestorPaths[ancestorIdx] + "]";
+        }
+        if (depth >= opts.maxDepth) {
+            return Array.isArray(v) ? "[Array]" : "[Object]";
+        }
+
+        ancestors.push(v);
+        ancestorPaths.push(path);
+        var result;
+        try {
+            result = convertObject(v, path, depth);
+        } catch (error) {
+            result = "[" + getTypeName(v) + ": " + error + "]";
+        }
+        ancestors.pop();
+        ancestorPaths.pop();
+
+        return result;
+    };
+
+    return convert(value, "$", 0);
+}
+
+/**
+ * Serializes the given value to JSON. Unlike <tt>JSON.stringify</tt> it doesn't
+ * fail on circular references and serializes <tt>Map</tt>, <tt>Set</tt>, typed
+ * arrays, <tt>BigInt</tt>, <tt>Error</tt>s including their <tt>cause</tt> and
+ * custom fields, DOM nodes and map-like objects such as <tt>RTCStatsReport</tt>.
+ * @param {*} value the value to serialize.
+ * @param {SerializerOptions} [options] the limits of the serialization.
+ * @returns {string}
+ */
+function serialize(value, options) {
+    return JSON.stringify(toSerializable(value, options));
+}
+
+module.exports = {
+    serialize: serialize,
+    toSerializable: toSerializable
+};
@@ -0,0 +1,167 @@
+/* Copyright @ 2015-present 8x8, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * A parsed stack frame.
+ *
+ * @typedef {object} StackFrame
+ *
+ * @property {string} methodName the name of the function or an empty string
+ * for anonymous functions and the top level code.
+ * @property {string} fileLocation the URL or the path of the file or an empty
+ * string if it's not known, e.g. for native code.
+ * @property {number|null} line the line number.
+ * @property {number|null} column the column number.
+ */
+
+/**
+ * Matches the V8 (Chrome, Node) and Hermes (React Native) frames, e.g.
+ * "    at fn (file.js:1:2)", "    at file.js:1:2",
+ * "    at async fn (file.js:1:2)" or "    at fn (address at file.js:1:2)".
+ */
+var V8_FRAME = /^\s*at (?:(.*?) ?\()?(?:address at )?(.+?):(\d+):(\d+)\)?\s*$/;
+
+/**
+ * Matches the V8 and Hermes frames without a location, e.g.
+ * "    at fn (native)", "    at <anonymous>" or
+ * "    at async Promise.all (index 0)".
+ */
+var V8_NATIVE_FRAME = /^\s*at (.*?)(?: \((?:native|<anonymous>|index \d+)\))?\s*$/;
+
+/**
+ * Matches the SpiderMonkey (Firefox) and JavaScriptCore (Safari) frames, e.g.
+ * "fn@file.js:1:2", "@file.js:1:2", "fn/<@file.js:1:2" or
+ * "global code@file.js:1:2".
+ */
+var GECKO_FRAME = /^\s*(.*?)@(.+?):(\d+)(?::(\d+))?\s*$/;
+
+/**
+ * Matches the SpiderMonkey and JavaScriptCore frames without a location, e.g.
+ * "fn@[native code]".
+ */
+var GECKO_NATIVE_FRAME = /^\s*(.*?)@(.*)$/;
+
+/**
+ * Cleans up the function name reported by the engine.
+ * @param {string} name the name of the function.
+ * @returns {string}
+ */
+function cleanMethodName(name) {
+    return (name || "")
+        // V8 prefixes the async functions.
+        .replace(/^async /, "")
+        // SpiderMonkey prefixes the async frames with their cause, e.g.
+        // "promise callback*fn" or "async*fn".
+        .replace(/^[\w ]+\*/, "")
+        // SpiderMonkey marks the anonymous functions nested in a named one,
+        // e.g. "outer/<" or "outer/inner<".
+        .replace(/\/?<+$/, "")
+        // V8 and Hermes names of the anonymous functions and JavaScriptCore
+        // names of the top level code.
+        .replace(/^(?:Object\.<anonymous>|<anonymous>|anonymous|(?:global|module|eval) code)$/, "");
+}
+
+/**
+ * Parses a single line of a stack trace.
+ * @param {string} line the line of the stack trace.
+ * @returns {StackFrame|null} the frame or <tt>null</tt> if the line is not
+ * a frame, e.g. the "Error: message" header of V8.
+ */
+function parseFrame(line) {
+    var m = line.match(V8_FRAME);
+    if (m) {
+        return {
+            methodName: cleanMethodName(m[1]),
+            fileLocation: m[2],
+            line: Number(m[3]),
+            column: Number(m[4])
+        };
+    }
+    if (/^\s*at /.test(line)) {
+        m = line.match(V8_NATIVE_FRAME);
+        return {
+            methodName: cleanMethodName(m[1]),
+            fileLocation: "",
+            line: null,
+            column: null
+        };
+    }
+    m = line.match(GECKO_FRAME);
+    if (m) {
+        return {
+            methodName: cleanMethodName(m[1]),
+            fileLocation: m[2],
+            line: Number(m[3]),
+            column: m[4] ? Number(m[4]) : null
+        };
+    }
+    m = line.match(GECKO_NATIVE_FRAME);
+    if (m) {
+        return {
+            methodName: cleanMethodName(m[1]),
+            fileLocation: m[2] === "[native code]" ? "" : m[2],
+            line: null,
+            column: null
+        };
+    }
+    return null;
+}
+
+/**
+ * Parses the stack trace of an <tt>Error</tt> in any of the V8,
+ * SpiderMonkey, JavaScriptCore or Hermes formats.
+ * @param {string} stack the stack trace.
+ * @returns {StackFrame[]} the frames starting from the innermost one.
+ */
+function parseStack(stack) {
+    var lines = (stack || "").split("\n");
+
+    // The V8 stack starts with the "Error: message" header which may contain
+    // anything, so only the "at" lines are parsed.
+    if (lines.some(function (line) {
+        return /^\s*at /.test(line);
+    })) {
+        lines = lines.filter(function (line) {
+            return /^\s*at /.test(line);
+        });
+    }
+
+    return lines.map(parseFrame).filter(Boolean);
+}
+
+/**
+ * Returns the file location of the code which calls this function, e.g. in
+ * order to recognize the frames of a module.
+ * @returns {string} the file location or an empty string if it's not known.
+ */
+function getFileLocation() {
+    var frames = parseStack(new Error().stack).filter(function (frame) {
+        return frame.fileLocation;
+    });
+
+    // The first frame is the one of this function.
+    return frames.length > 1 ? frames[1].fileLocation : "";
+}
+
+module.exports = {
+    /**
+     * The file location of this module.
+     * @type {string}
+     */
+    fileLocation: getFileLocation(),
+    getFileLocation: getFileLocation,
+    parseFrame: parseFrame,
+    parseStack: parseStack
+};
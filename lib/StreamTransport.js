@@ -0,0 +1,196 @@
+/* Copyright @ 2015-present 8x8, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+var fs = require("fs");
+var Logger = require("./Logger");
+var Formatters = require("./Formatters");
+
+/**
+ * Creates new <tt>StreamTransport</tt>. Class implements
+ * <tt>LoggerTransport</tt> and writes the formatted records, one per line, to
+ * a Node writable stream, e.g. <tt>process.stdout</tt> or a socket. It's meant
+ * for Node only and that's why it's not exported by the main module.
+ *
+ * The transport respects the backpressure of the stream: while the stream is
+ * full the lines are buffered and they're written at once when the stream
+ * drains. The oldest lines are dropped when the buffer exceeds its limit and
+ * their number is reported by a line written instead of them.
+ *
+ * @param {stream.Writable} stream the stream to write to.
+ * @param {Object} [options] the <tt>StreamTransport</tt> configuration options.
+ * @param {LogFormatter} options.formatter the formatter of the lines, e.g.
+ * the JSON lines formatter. Defaults to the text formatter.
+ * @param {number} options.maxBufferedBytes the max total length of the lines
+ * buffered while the stream is full. Defaults to 1000000.
+ * @param {boolean} options.flushOnExit if <tt>true</tt> the buffered lines are
+ * written synchronously when the process exits, given that the stream has
+ * a file descriptor like <tt>process.stdout</tt> or <tt>fs.WriteStream</tt>.
+ *
+ * @constructor
+ */
+function StreamTransport(stream, options) {
+    var opts = options || {};
+
+    this.stream = stream;
+    this.formatter = opts.formatter || Formatters.text();
+    this.maxBufferedBytes = opts.maxBufferedBytes || 1000000;
+    /**
+     * Tells the <tt>Logger</tt> to call the log methods with
+     * <tt>LogRecord</tt>s.
+     * @type {boolean}
+     */
+    this.acceptsRecords = true;
+    /**
+     * The lines waiting for the stream to drain.
+     * @type {string[]}
+     */
+    this.buffer = [];
+    /**
+     * The total length of the lines in the {@link buffer}.
+     * @type {number}
+     */
+    this.bufferedBytes = 0;
+    /**
+     * The number of the lines dropped since the last write.
+     * @type {number}
+     */
+    this.droppedLines = 0;
+    /**
+     * Whether the stream is full and the transport waits for it to drain.
+     * @type {boolean}
+     */
+    this.waitingForDrain = false;
+    /**
+     * The listeners waiting for the buffer to be written.
+     * @type {function[]}
+     */
+    this._flushListeners = [];
+    this._onDrain = this._onDrain.bind(this);
+    this._onExit = this.flushSync.bind(this);
+
+    Object.values(Logger.levels).forEach(function (logLevel) {
+        this[logLevel] = function (record) {
+            this._write(this.formatter.format(record) + "\n");
+        }.bind(this);
+    }.bind(this));
+
+    if (opts.flushOnExit) {
+        process.on("exit", this._onExit);
+    }
+}
+
+/**
+ * Writes the line or buffers it if the stream is full.
+ * @param {string} line the formatted line.
+ * @private
+ */
+StreamTransport.prototype._write = function (line) {
+    if (this.waitingForDrain) {
+        this.buffer.push(line);
+        this.bufferedBytes += line.length;
+        while (this.bufferedBytes > this.maxBufferedBytes && this.buffer.length > 1) {
+            this.bufferedBytes -= this.buffer.shift().length;
+            this.droppedLines += 1;
+        }
+        return;
+    }
+
+    if (!this.stream.write(this._takeDroppedLinesReport() + line)) {
+        this.waitingForDrain = true;
+        this.stream.once("drain", this._onDrain);
+    }
+};
+
+/**
+ * Returns the line reporting the number of the dropped lines and resets it or
+ * an empty string if no lines have been dropped.
+ * @returns {string}
+ * @private
+ */
+StreamTransport.prototype._takeDroppedLinesReport = function () {
+    if (!this.droppedLines) {
+        return "";
+    }
+
+    var report = "... " + this.droppedLines + " lines dropped, because the stream was full\n";
+    this.droppedLines = 0;
+
+    return report;
+};
+
+/**
+ * Writes the buffered lines when the stream drains.
+ * @private
+ */
+StreamTransport.prototype._onDrain = function () {
+    var data = this.buffer.join("");
+
+    this.waitingForDrain = false;
+    this.buffer = [];
+    this.bufferedBytes = 0;
+    if (data) {
+        this._write(data);
+    }
+    if (!this.waitingForDrain) {
+        var flushListeners = this._flushListeners;
+        this._flushListeners = [];
+        flushListeners.forEach(function (listener) {
+            listener();
+        });
+    }
+};
+
+/**
+ * Waits until the buffered lines are written to the stream.
+ * @returns {Promise}
+ */
+StreamTransport.prototype.flush = function () {
+    if (!this.waitingForDrain) {
+        return Promise.resolve();
+    }
+
+    return new Promise(function (resolve) {
+        this._flushListeners.push(resolve);
+    }.bind(this));
+};
+
+/**
+ * Writes the buffered lines synchronously to the file descriptor of
+ * the stream, e.g. when the process exits. Nothing is written if the stream
+ * doesn't have a file descriptor.
+ */
+StreamTransport.prototype.flushSync = function () {
+    if (!this.buffer.length || typeof this.stream.fd !== "number") {
+        return;
+    }
+
+    var data = this._takeDroppedLinesReport() + this.buffer.join("");
+    this.buffer = [];
+    this.bufferedBytes = 0;
+    try {
+        fs.writeSync(this.stream.fd, data);
+    } catch (error) {
+        console.error("StreamTransport failed to write the buffered lines", error);
+    }
+};
+
+/**
+ * Stops listening for the exit of the process. The stream is not closed.
+ */
+StreamTransport.prototype.dispose = function () {
+    process.removeListener("exit", this._onExit);
+    this.stream.removeListener("drain", this._onDrain);
+};
+
+module.exports = StreamTransport;
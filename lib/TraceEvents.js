@@ -0,0 +1,114 @@
+/* Copyright @ 2015-present 8x8, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * A completed span.
+ *
+ * @typedef {object} CompletedSpan
+ *
+ * @property {string} name the name of the span.
+ * @property {string|undefined} loggerId the id of the logger of the span.
+ * @property {string} traceId the id shared by the nested spans.
+ * @property {string} spanId the id of the span.
+ * @property {string} [parentSpanId] the id of the parent span.
+ * @property {number} start the start time in milliseconds since epoch.
+ * @property {number} duration the duration in milliseconds.
+ * @property {Object} fields the fields of the span.
+ */
+
+/**
+ * The max number of the completed spans kept for the export.
+ */
+var MAX_SPANS = 1000;
+
+/**
+ * The completed spans from the oldest one.
+ * @type {CompletedSpan[]}
+ */
+var spans = [];
+
+/**
+ * Generates a random id of the given number of hexadecimal digits.
+ * @param {number} length the number of digits.
+ * @returns {string}
+ */
+function generateId(length) {
+    var id = "";
+
+    while (id.length < length) {
+        id += Math.floor(Math.random() * 0x100000000).toString(16);
+    }
+
+    return id.substr(0, length);
+}
+
+/**
+ * Keeps the completed span for the export. The oldest spans are dropped when
+ * there are more than {@link MAX_SPANS}.
+ * @param {CompletedSpan} span the completed span.
+ */
+function addSpan(span) {
+    spans.push(span);
+    if (spans.length > MAX_SPANS) {
+        spans.shift();
+    }
+}
+
+/**
+ * Exports the completed spans in the Trace Event Format which can be loaded
+ * into timeline viewers such as <tt>chrome://tracing</tt> or Perfetto. Each
+ * trace is shown as a separate thread.
+ * @returns {{traceEvents: Object[]}}
+ */
+function exportTraceEvents() {
+    var traceIds = [];
+
+    return {
+        traceEvents: spans.map(function (span) {
+            if (traceIds.indexOf(span.traceId) === -1) {
+                traceIds.push(span.traceId);
+            }
+
+            return {
+                name: span.name,
+                cat: span.loggerId || "",
+                ph: "X",
+                ts: span.start * 1000,
+                dur: span.duration * 1000,
+                pid: 1,
+                tid: traceIds.indexOf(span.traceId) + 1,
+                args: Object.assign({
+                    traceId: span.traceId,
+                    spanId: span.spanId,
+                    parentSpanId: span.parentSpanId
+                }, span.fields)
+            };
+        })
+    };
+}
+
+/**
+ * Removes the completed spans.
+ */
+function clearSpans() {
+    spans = [];
+}
+
+module.exports = {
+    addSpan: addSpan,
+    clearSpans: clearSpans,
+    exportTraceEvents: exportTraceEvents,
+    generateId: generateId
+};
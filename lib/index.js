@@ -14,6 +14,14 @@
  */
 var Logger = require("./Logger");
 var LogCollector = require("./LogCollector");
+var Formatters = require("./Formatters");
+var LogFilter = require("./LogFilter");
+var LogPersistence = require("./LogPersistence");
+var RingBufferTransport = require("./RingBufferTransport");
+var FingersCrossedTransport = require("./FingersCrossedTransport");
+var TraceEvents = require("./TraceEvents");
+var ErrorCapture = require("./ErrorCapture");
+var ConsoleCapture = require("./ConsoleCapture");
 
 /**
  * Definition of the log method
@@ -32,36 +40,346 @@ var LogCollector = require("./LogCollector");
  * @property {log_method} log method called to log on {@link Logger.levels.LOG} logging level
  * @property {log_method} warn method called to log on {@link Logger.levels.WARN} logging level
  * @property {log_method} error method called to log on {@link Logger.levels.ERROR} logging level
+ * @property {boolean} [acceptsRecords] if <tt>true</tt> the log methods are
+ * called with a single {@link LogRecord} argument instead of the console-style
+ * list of prefixes and arguments.
+ * @property {LogFormatter} [formatter] the formatter of the messages for
+ * the transports which don't accept records. The log methods are called with
+ * its console-style arguments or with a single formatted line.
+ */
+/**
+ * The options of a transport.
+ *
+ * @typedef {object} TransportOptions
+ *
+ * @property {string} [level] the minimum level of the messages the transport
+ * receives or {@link Logger.LEVEL_OFF} to mute the transport.
+ * @property {function(LogRecord): boolean} [filter] the predicate which decides
+ * whether the transport receives a message, e.g. by the logger id or
+ * the arguments of the record.
+ */
+/**
+ * The structured log entry passed to the transports which accept records.
+ *
+ * @typedef {object} LogRecord
+ *
+ * @property {string} level the log level of the message, one of
+ * {@link Logger.levels}
+ * @property {number} severity the numeric severity of the level, the higher
+ * the more severe
+ * @property {string|undefined} loggerId the id of the logger which logged
+ * the message
+ * @property {number} timestamp the time of logging in milliseconds since epoch
+ * @property {object|null} callerInfo the caller's method name, file location,
+ * line and column or <tt>null</tt> if the caller info is disabled
+ * @property {Array} args the raw arguments passed to the log method
+ * @property {object} context the fields bound to the logger
  */
 
 /**
- * Map with the created loggers with ID.
+ * Map with the created loggers with ID. With the weak tracking the loggers are
+ * stored as <tt>WeakRef</tt>s.
  */
 var idLoggers = {};
 
 /**
- * Array with the loggers without id.
+ * Array with the loggers without id. With the weak tracking the loggers are
+ * stored as <tt>WeakRef</tt>s.
  */
 var loggers = [];
 
+/**
+ * Whether the loggers created from now on are tracked weakly, so that they can
+ * be garbage collected when the application doesn't reference them anymore.
+ */
+var weakTracking = false;
+
+/**
+ * Removes the entries of the collected loggers from the registry when weak
+ * tracking is enabled. The held value is the id of the logger.
+ * @type {FinalizationRegistry|null}
+ */
+var finalizationRegistry = null;
+
+/**
+ * Returns the logger of the given registry entry.
+ * @param {Logger|WeakRef<Logger>} entry the registry entry.
+ * @returns {Logger|undefined} the logger or <tt>undefined</tt> if it has been
+ * garbage collected or disposed.
+ */
+function derefLogger(entry) {
+    var logger = typeof WeakRef !== "undefined" && entry instanceof WeakRef ?
+        entry.deref() : entry;
+
+    return logger && !logger.disposed ? logger : undefined;
+}
+
+/**
+ * Returns the live loggers with the given id and removes the entries of
+ * the collected and the disposed ones from the registry.
+ * @param {string} [id] the logger id or nothing for the loggers without id.
+ * @returns {Logger[]}
+ */
+function getTrackedLoggers(id) {
+    var entries = (id ? idLoggers[id] : loggers) || [];
+    var live = [];
+    var liveEntries = entries.filter(function (entry) {
+        var logger = derefLogger(entry);
+        if (logger) {
+            live.push(logger);
+        }
+        return Boolean(logger);
+    });
+
+    if (!id) {
+        loggers = liveEntries;
+    } else if (liveEntries.length) {
+        idLoggers[id] = liveEntries;
+    } else {
+        delete idLoggers[id];
+    }
+
+    return live;
+}
+
+/**
+ * Adds the logger to the registry.
+ * @param {Logger} logger the logger.
+ */
+function trackLogger(logger) {
+    var entry = logger;
+
+    if (weakTracking) {
+        entry = new WeakRef(logger);
+        finalizationRegistry = finalizationRegistry ||
+            new FinalizationRegistry(getTrackedLoggers);
+        finalizationRegistry.register(logger, logger.id);
+    }
+    // Drops the disposed loggers.
+    getTrackedLoggers(logger.id);
+    if (logger.id) {
+        idLoggers[logger.id] = idLoggers[logger.id] || [];
+        idLoggers[logger.id].push(entry);
+    } else {
+        loggers.push(entry);
+    }
+}
+
 /**
  * Log level for the lbrary.
  */
 var curLevel = Logger.levels.TRACE;
 
+/**
+ * The characters which separate the namespaces of a hierarchical logger id,
+ * e.g. "xmpp.strophe", "JitsiConference:1" or "modules/RTC".
+ */
+var NAMESPACE_SEPARATORS = ".:/";
+
+/**
+ * The log level rules set with {@link setLogLevelById} and
+ * {@link setLogLevelRules}. A rule applies to the loggers whose id matches
+ * its pattern and to all of their descendants in the id hierarchy.
+ * @type {Array<{pattern: string, level: string, matcher: RegExp,
+ * specificity: number, wildcard: boolean}>}
+ */
+var levelRules = [];
+
+/**
+ * Escapes the characters of the given string which have special meaning in
+ * regular expressions.
+ * @param {string} str the string to escape.
+ * @returns {string}
+ */
+function escapeRegExp(str) {
+    return str.replace(/[\\^$.|?*+()[\]{}]/g, "\\$&");
+}
+
+/**
+ * Creates a level rule for the given pattern. The "*" in the pattern matches
+ * any sequence of characters. A pattern also matches the descendants of the
+ * ids it matches, so "xmpp" applies to "xmpp.strophe" too.
+ * @param {string} pattern the logger id pattern.
+ * @param {string} level the log level for the matching loggers.
+ * @returns {object} the level rule.
+ */
+function createLevelRule(pattern, level) {
+    var source = pattern.split("*").map(escapeRegExp).join(".*");
+
+    return {
+        pattern: pattern,
+        level: level,
+        matcher: new RegExp("^" + source + "(?:[" +
+            escapeRegExp(NAMESPACE_SEPARATORS) + "].*)?$"),
+        specificity: pattern.replace(/\*/g, "").length,
+        wildcard: pattern.indexOf("*") !== -1
+    };
+}
+
+/**
+ * Adds the given rule replacing any rule with the same pattern.
+ * @param {object} rule the level rule to add.
+ */
+function addLevelRule(rule) {
+    levelRules = levelRules.filter(function (r) {
+        return r.pattern !== rule.pattern;
+    });
+    levelRules.push(rule);
+}
+
+/**
+ * Finds the effective log level for the given logger id. Among the rules
+ * which match the id the most specific one wins: the one with the most
+ * characters outside of wildcards. On a tie a rule without wildcards wins over
+ * one with wildcards and then the rule set last wins. If no rule matches the id
+ * the library's log level is used.
+ * @param {string} [id] the logger id.
+ * @returns {string} the log level.
+ */
+function getEffectiveLevel(id) {
+    var match = null;
+    for (var i = 0; i < levelRules.length; i++) {
+        var rule = levelRules[i];
+        if (!rule.matcher.test(id || "")) {
+            continue;
+        }
+        if (!match || rule.specificity > match.specificity) {
+            match = rule;
+        } else if (rule.specificity === match.specificity &&
+                (match.wildcard || !rule.wildcard)) {
+            match = rule;
+        }
+    }
+
+    return match ? match.level : curLevel;
+}
+
+/**
+ * The function which removes the listeners installed by
+ * {@link installErrorCapture} or <tt>null</tt> if it's not installed.
+ * @type {function()|null}
+ */
+var stopErrorCapture = null;
+
+/**
+ * The function which restores the console patched by {@link captureConsole} or
+ * <tt>null</tt> if the console is not captured.
+ * @type {function()|null}
+ */
+var releaseConsole = null;
+
+/**
+ * Updates the level of all the tracked loggers with id according to the level
+ * rules.
+ */
+function applyLevelRules() {
+    Object.keys(idLoggers).forEach(function (id) {
+        var level = getEffectiveLevel(id);
+        getTrackedLoggers(id).forEach(function (logger) {
+            logger.setLevel(level);
+        });
+    });
+}
+
+/**
+ * Replaces the log level rules, see <tt>setLogLevelRules</tt> of the module.
+ * @param {Object<string, string>} rules the map of patterns to levels.
+ */
+function setLogLevelRules(rules) {
+    levelRules = [];
+    for (var pattern in rules) {
+        if (rules.hasOwnProperty(pattern)) {
+            addLevelRule(createLevelRule(pattern, rules[pattern]));
+        }
+    }
+    applyLevelRules();
+}
+
+/**
+ * Changes the log level for all existing loggers and resets the level rules,
+ * see <tt>setLogLevel</tt> of the module.
+ * @param {string} level the new log level.
+ */
+function setLogLevel(level) {
+    curLevel = level;
+    levelRules = [];
+    getTrackedLoggers().forEach(function (logger) {
+        logger.setLevel(level);
+    });
+    applyLevelRules();
+}
+
+/**
+ * Applies a DEBUG-style filter spec, see <tt>setLogFilter</tt> of the module.
+ * @param {string} spec the filter spec.
+ * @param {string} [defaultLevel] the level of the loggers if the spec has no
+ * "*" entry. Defaults to the current level.
+ */
+function setLogFilter(spec, defaultLevel) {
+    var filter = LogFilter.parseLogFilter(spec);
+
+    setLogLevel(filter.defaultLevel || defaultLevel || curLevel);
+    setLogLevelRules(filter.rules);
+}
+/**
+ * Creates new logger which is tracked in order to apply the level changes,
+ * see <tt>getLogger</tt> of the module.
+ * @arguments the same as Logger constructor
+ * @returns {Logger}
+ */
+function getLogger(id, transports, options) {
+    var logger
+        = new Logger(getEffectiveLevel(id), id, transports, options);
+    trackLogger(logger);
+    return logger;
+}
+
+/**
+ * Stops logging the uncaught errors and the unhandled promise rejections if
+ * the capture is installed.
+ */
+function uninstallErrorCapture() {
+    if (stopErrorCapture) {
+        stopErrorCapture();
+        stopErrorCapture = null;
+    }
+}
+
+/**
+ * Restores the original <tt>console</tt> methods if the console is captured.
+ */
+function restoreConsole() {
+    if (releaseConsole) {
+        releaseConsole();
+        releaseConsole = null;
+    }
+}
 
 module.exports = {
     /**
      * Adds given {@link LoggerTransport} instance to the list of global
      * transports which means that it'll be used by all {@link Logger}s
      * @param {LoggerTransport} transport
+     * @param {TransportOptions} [options] the level and the filter of
+     * the messages the transport receives.
+     */
+    addGlobalTransport: function(transport, options) {
+        Logger.addGlobalTransport(transport, options);
+    },
+    /**
+     * Sets the level and the filter of the messages the given global or logger
+     * transport receives. Changing these works even after the transport is
+     * registered.
+     * @param {LoggerTransport} transport
+     * @param {TransportOptions|null} options the options or <tt>null</tt> to
+     * clear them.
      */
-    addGlobalTransport: function(transport) {
-        Logger.addGlobalTransport(transport);
+    setTransportOptions: function(transport, options) {
+        Logger.setTransportOptions(transport, options);
     },
     /**
      * Removes given {@link LoggerTransport} instance from the list of global
-     * transports
+     * transports and clears its options.
      * @param {LoggerTransport} transport
      */
     removeGlobalTransport: function(transport) {
@@ -79,53 +397,232 @@ module.exports = {
      * @arguments the same as Logger constructor
      */
     getLogger: function(id, transports, options) {
-        var logger = new Logger(curLevel, id, transports, options);
-        if(id) {
-            idLoggers[id] = idLoggers[id] || [];
-            idLoggers[id].push(logger);
-        } else {
-            loggers.push(logger);
-        }
-        return logger;
+        return getLogger(id, transports, options);
     },
     /**
      * Creates a new Logger, without keeping track of it in the loggers list
      * @arguments the same as Logger constructor
      */
     getUntrackedLogger: function(id, transports, options) {
-        return new Logger(curLevel, id, transports, options);
+        return new Logger(getEffectiveLevel(id), id, transports, options);
+    },
+    /**
+     * Disposes the given logger, see {@link Logger#dispose}, and removes it
+     * from the registry right away.
+     * @param {Logger} logger the logger to release.
+     */
+    releaseLogger: function(logger) {
+        logger.dispose();
+        getTrackedLoggers(logger.id);
+    },
+    /**
+     * Enables or disables the weak tracking of the loggers created from now
+     * on. The weakly tracked loggers can be garbage collected when
+     * the application doesn't reference them anymore and the level changes
+     * still reach the live ones. It has no effect in the environments without
+     * <tt>WeakRef</tt> and <tt>FinalizationRegistry</tt>.
+     * @param {boolean} enabled whether to track the loggers weakly.
+     */
+    setWeakLoggerTracking: function(enabled) {
+        weakTracking = Boolean(enabled) && typeof WeakRef !== "undefined" &&
+            typeof FinalizationRegistry !== "undefined";
+    },
+    /**
+     * Lists the live tracked loggers, e.g. for debugging the log levels.
+     * @returns {Array<{id: string|undefined, level: string,
+     * transports: LoggerTransport[]}>} the id, the current level and
+     * the transports of each logger.
+     */
+    getLoggers: function() {
+        var ids = [ undefined ].concat(Object.keys(idLoggers));
+
+        return ids.reduce(function (result, id) {
+            return result.concat(getTrackedLoggers(id).map(function (logger) {
+                return {
+                    id: logger.id,
+                    level: logger.getLevel(),
+                    transports: logger.getTransports()
+                };
+            }));
+        }, []);
     },
     /**
      * Changes the log level for the existing loggers by id.
      * @param level the new log level.
-     * @param id if specified the level will be changed only for loggers with the
-     * same id. Otherwise the operation will affect all loggers that don't
-     * have id.
+     * @param id if specified the level will be changed for loggers with the
+     * same id and for the loggers in its namespace hierarchy (e.g. "xmpp"
+     * affects "xmpp.strophe") which don't have a more specific level set. The
+     * level is also applied to the matching loggers created later. Otherwise
+     * the operation will affect all loggers that don't have id.
      */
     setLogLevelById: function(level, id) {
-        var l = id? (idLoggers[id] || []) : loggers;
-        for(var i = 0; i < l.length; i++) {
-            l[i].setLevel(level);
+        if (!id) {
+            getTrackedLoggers().forEach(function (logger) {
+                logger.setLevel(level);
+            });
+            return;
         }
+        addLevelRule(createLevelRule(id, level));
+        applyLevelRules();
     },
     /**
-     * Changes the log level for all existing loggers.
+     * Replaces the log level rules. The keys of the given object are logger
+     * id patterns where "*" matches any sequence of characters, e.g.
+     * <tt>{ "xmpp.*": "warn", "rtc.stats": "debug" }</tt>. A rule applies to
+     * the existing and the future loggers whose id matches the pattern and to
+     * their descendants in the id hierarchy. When multiple rules match an id
+     * the most specific one wins, see {@link getEffectiveLevel}.
+     * @param {Object<string, string>} rules the map of patterns to levels.
+     */
+    setLogLevelRules: function(rules) {
+        setLogLevelRules(rules);
+    },
+    /**
+     * Changes the log level for all existing loggers. Resets all the levels
+     * set by id or by rules.
      * @param level the new log level.
      */
     setLogLevel: function (level) {
-        curLevel = level;
-        var i = 0;
-        for(; i < loggers.length; i++) {
-            loggers[i].setLevel(level);
+        setLogLevel(level);
+    },
+    /**
+     * Applies a DEBUG-style filter spec such as
+     * <tt>"*:warn,JitsiConference:debug,-stats"</tt>. The "*" entry sets the
+     * level for all loggers like {@link setLogLevel} and the other entries
+     * replace the level rules like {@link setLogLevelRules}. An entry without
+     * a level enables all levels and an entry prefixed with "-" disables
+     * the matching loggers.
+     * @param {string} spec the filter spec.
+     */
+    setLogFilter: function(spec) {
+        setLogFilter(spec);
+    },
+    /**
+     * Reads a filter spec (see {@link setLogFilter}) from the first available
+     * of the given sources and applies it. The sources are checked in the order
+     * - URL fragment, <tt>localStorage</tt> and environment variables.
+     * @param {Object} options the sources to read the spec from.
+     * @param {string} [options.hashParam] the name of the URL fragment
+     * parameter, e.g. "logging" for "#logging=JitsiConference:debug".
+     * @param {string} [options.storageKey] the <tt>localStorage</tt> key.
+     * @param {string} [options.envVariable] the name of the environment
+     * variable used under Node.
+     * @param {boolean} [options.watch] if <tt>true</tt> the spec will be read
+     * and applied again whenever the URL fragment or the <tt>localStorage</tt>
+     * key changes. When the spec is removed the level set before is restored
+     * and the level rules are removed.
+     * @returns {function()} a function which stops watching the sources.
+     */
+    loadLogFilter: function(options) {
+        var level = curLevel;
+        var applied = false;
+        var applySpec = function(spec) {
+            if (spec) {
+                setLogFilter(spec, level);
+                applied = true;
+            } else if (applied) {
+                setLogLevel(level);
+                applied = false;
+            }
+        };
+
+        applySpec(LogFilter.readLogFilter(options || {}));
+
+        if (options && options.watch) {
+            return LogFilter.watchLogFilter(options, applySpec);
         }
 
-        for(var id in idLoggers) {
-            var l = idLoggers[id] || [];
-            for(i = 0; i < l.length; i++) {
-                l[i].setLevel(level);
-            }
+        return function() { /* nothing to stop */ };
+    },
+    /**
+     * Starts logging the uncaught errors and the unhandled promise rejections
+     * at the error level with a dedicated logger, so that they reach
+     * the transports such as the <tt>LogCollector</tt> together with
+     * the context set by the global options. The transports which can be
+     * flushed are flushed right after an error. Note that in Node the process
+     * may exit right after an uncaught exception, so the <tt>LogCollector</tt>
+     * needs the <tt>flushOnExit</tt> option in order to store the error.
+     * @param {Object} [options] the options.
+     * @param {string} [options.loggerId] the id of the dedicated logger.
+     * Defaults to "ErrorCapture".
+     * @param {boolean} [options.flush] whether to flush the transports after
+     * an error. Defaults to <tt>true</tt>.
+     */
+    installErrorCapture: function(options) {
+        uninstallErrorCapture();
+
+        var logger = getLogger(
+            options && options.loggerId || "ErrorCapture",
+            undefined,
+            { disableCallerInfo: true });
+
+        var uninstall = ErrorCapture.install(logger, options);
+
+        stopErrorCapture = function() {
+            uninstall();
+            logger.dispose();
+        };
+    },
+    /**
+     * Stops logging the uncaught errors and the unhandled promise rejections,
+     * see {@link installErrorCapture}.
+     */
+    uninstallErrorCapture: function() {
+        uninstallErrorCapture();
+    },
+    /**
+     * Routes the calls of the <tt>console</tt> methods made directly, e.g. by
+     * third-party libraries, to a dedicated logger, so that they're subject to
+     * its level and reach all the transports such as the
+     * <tt>LogCollector</tt>. The console transport keeps writing to
+     * the original methods.
+     * @param {Object} [options] the options.
+     * @param {string} [options.loggerId] the id of the dedicated logger.
+     * Defaults to "console".
+     * @param {string} [options.level] the level of the dedicated logger.
+     * Defaults to the level of the loggers with the same id.
+     */
+    captureConsole: function(options) {
+        restoreConsole();
+
+        var logger = getLogger(options && options.loggerId || "console");
+        if (options && options.level) {
+            logger.setLevel(options.level);
         }
+
+        var restore = ConsoleCapture.capture(logger);
+
+        releaseConsole = function() {
+            restore();
+            logger.dispose();
+        };
     },
+    /**
+     * Restores the original <tt>console</tt> methods, see
+     * {@link captureConsole}.
+     */
+    restoreConsole: function() {
+        restoreConsole();
+    },
+    /**
+     * Exports the spans completed so far, see {@link Logger#span}, in
+     * the Trace Event Format which can be loaded into timeline viewers such as
+     * <tt>chrome://tracing</tt> or Perfetto.
+     * @returns {{traceEvents: Object[]}}
+     */
+    exportTraceEvents: function() {
+        return TraceEvents.exportTraceEvents();
+    },
+    /**
+     * Removes the completed spans kept for {@link exportTraceEvents}.
+     */
+    clearTraceEvents: function() {
+        TraceEvents.clearSpans();
+    },
+    /**
+     * The pseudo log level which disables loggers.
+     */
+    LEVEL_OFF: Logger.LEVEL_OFF,
     /**
      * The supported log levels.
      */
@@ -133,5 +630,28 @@ module.exports = {
     /**
      * Exports the <tt>LogCollector</tt>.
      */
-    LogCollector: LogCollector
+    LogCollector: LogCollector,
+    /**
+     * Exports the <tt>RingBufferTransport</tt>.
+     */
+    RingBufferTransport: RingBufferTransport,
+    /**
+     * Exports the <tt>FingersCrossedTransport</tt>.
+     */
+    FingersCrossedTransport: FingersCrossedTransport,
+    /**
+     * Exports the built-in formatters - <tt>text</tt>, <tt>jsonLines</tt> and
+     * <tt>logfmt</tt>.
+     */
+    formatters: Formatters,
+    /**
+     * Exports the in-memory <tt>LogPersistence</tt> for the
+     * <tt>LogCollector</tt>.
+     */
+    MemoryLogPersistence: LogPersistence.MemoryLogPersistence,
+    /**
+     * Exports the IndexedDB based <tt>LogPersistence</tt> for the
+     * <tt>LogCollector</tt>.
+     */
+    IndexedDBLogPersistence: LogPersistence.IndexedDBLogPersistence
 };
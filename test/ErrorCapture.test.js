@@ -0,0 +1,155 @@
+/* Copyright @ 2015-present 8x8, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+var assert = require("assert");
+var childProcess = require("child_process");
+var test = require("node:test");
+var ErrorCapture = require("../lib/ErrorCapture");
+var Logger = require("../lib/Logger");
+
+// Keep the output of the tests clean.
+Logger.removeGlobalTransport(Logger.consoleTransport);
+
+/**
+ * Creates the logger whose transport keeps the arguments of the errors and
+ * counts the flushes.
+ * @returns {{logger: Logger, transport: Object}}
+ */
+function createLogger() {
+    var transport = {
+        acceptsRecords: true,
+        errors: [],
+        flushCount: 0,
+        error: function (record) {
+            transport.errors.push(record.args);
+        },
+        flush: function () {
+            transport.flushCount += 1;
+        }
+    };
+
+    return {
+        logger: new Logger(Logger.levels.TRACE, "errors", [ transport ]),
+        transport: transport
+    };
+}
+
+/**
+ * Runs the script in a child Node process.
+ * @param {string} script the script.
+ * @param {string[]} [flags] the flags of Node.
+ * @returns {Promise<{code: number, stdout: string}>}
+ */
+function runScript(script, flags) {
+    var lines = [
+        "var fs = require('fs');",
+        "var JitsiLogger = require(" + JSON.stringify(require.resolve("../lib")) + ");",
+        "JitsiLogger.removeGlobalTransport(JitsiLogger.consoleTransport);",
+        "JitsiLogger.installErrorCapture({ loggerId: 'errors' });",
+        // The output is written synchronously, because the process may crash.
+        "JitsiLogger.addGlobalTransport({ acceptsRecords: true, error: function (record) {",
+        "    fs.writeSync(1, record.args[0] + ' ' + record.args[1].message + '\\n');",
+        "} });"
+    ];
+
+    return new Promise(function (resolve) {
+        var child = childProcess.execFile(
+            process.execPath,
+            (flags || []).concat([ "-e", lines.concat(script).join("\n") ]),
+            { timeout: 10000 },
+            function (error, stdout) {
+                resolve({ code: child.exitCode, stdout: stdout });
+            });
+    });
+}
+
+test("logs the errors and the rejections of the window", function (t) {
+    var listeners = {};
+    var created = createLogger();
+
+    t.after(function () {
+        delete global.window;
+    });
+    global.window = {
+        addEventListener: function (event, listener) {
+            listeners[event] = (listeners[event] || []).concat(listener);
+        },
+        removeEventListener: function (event, listener) {
+            listeners[event] = listeners[event].filter(function (l) {
+                return l !== listener;
+            });
+        }
+    };
+
+    var uninstall = ErrorCapture.install(created.logger);
+    var error = new Error("boom");
+
+    listeners.error[0]({ error: error, filename: "app.js", lineno: 1, colno: 2 });
+    listeners.error[0]({ error: null, message: "Script error." });
+    listeners.unhandledrejection[0]({ reason: "rejected" });
+
+    assert.deepStrictEqual(created.transport.errors, [
+        [ "Uncaught error:", error, { filename: "app.js", lineno: 1, colno: 2 } ],
+        [ "Uncaught error:", "Script error.", { filename: undefined, lineno: undefined, colno: undefined } ],
+        [ "Unhandled promise rejection:", "rejected" ]
+    ]);
+    assert.strictEqual(created.transport.flushCount, 3);
+
+    uninstall();
+    assert.deepStrictEqual(listeners, { error: [], unhandledrejection: [] });
+});
+
+test("monitors the uncaught exceptions of the process", function () {
+    var created = createLogger();
+    var monitorCount = process.listenerCount("uncaughtExceptionMonitor");
+    var rejectionCount = process.listenerCount("unhandledRejection");
+    var uninstall = ErrorCapture.install(created.logger, { flush: false });
+    var error = new Error("boom");
+
+    assert.strictEqual(process.listenerCount("uncaughtExceptionMonitor"), monitorCount + 1);
+    // The rejections are raised as exceptions in the default mode.
+    assert.strictEqual(process.listenerCount("unhandledRejection"), rejectionCount);
+
+    process.emit("uncaughtExceptionMonitor", error, "uncaughtException");
+    process.emit("uncaughtExceptionMonitor", error, "unhandledRejection");
+    assert.deepStrictEqual(created.transport.errors, [
+        [ "Uncaught exception:", error ],
+        [ "Unhandled promise rejection:", error ]
+    ]);
+    assert.strictEqual(created.transport.flushCount, 0);
+
+    uninstall();
+    assert.strictEqual(process.listenerCount("uncaughtExceptionMonitor"), monitorCount);
+    process.emit("uncaughtExceptionMonitor", error, "uncaughtException");
+    assert.strictEqual(created.transport.errors.length, 2);
+});
+
+test("preserves the default handling of the uncaught errors", function () {
+    return Promise.all([
+        runScript("setTimeout(function () { throw new Error('thrown'); }, 0);"),
+        runScript("Promise.reject(new Error('rejected'));"),
+        runScript("Promise.reject(new Error('warned'));", [ "--unhandled-rejections=warn" ]),
+        runScript([
+            "JitsiLogger.uninstallErrorCapture();",
+            "setTimeout(function () { throw new Error('not logged'); }, 0);"
+        ])
+    ]).then(function (results) {
+        assert.deepStrictEqual(results, [
+            { code: 1, stdout: "Uncaught exception: thrown\n" },
+            { code: 1, stdout: "Unhandled promise rejection: rejected\n" },
+            { code: 0, stdout: "Unhandled promise rejection: warned\n" },
+            { code: 1, stdout: "" }
+        ]);
+    });
+});
@@ -0,0 +1,206 @@
+/* Copyright @ 2015-present 8x8, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+var assert = require("assert");
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+var test = require("node:test");
+var Logger = require("../lib/Logger");
+var FileTransport = require("../lib/FileTransport");
+
+// Keep the output of the tests clean.
+Logger.removeGlobalTransport(Logger.consoleTransport);
+
+/**
+ * The formatter which outputs only the logged arguments.
+ */
+var argsFormatter = {
+    format: function (record) {
+        return record.args.join(" ");
+    }
+};
+
+/**
+ * Creates the transport writing to a file in a new temporary directory and
+ * a logger logging to it.
+ * @param {Object} [options] the additional options of the transport.
+ * @returns {Object}
+ */
+function setUp(options) {
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), "jitsi-logger-"));
+    var file = path.join(dir, "app.log");
+    var transport = new FileTransport(Object.assign({
+        path: file,
+        formatter: argsFormatter
+    }, options));
+    var logger = new Logger(Logger.levels.TRACE, "test", [ transport ], {
+        disableCallerInfo: true
+    });
+
+    return {
+        dir: dir,
+        file: file,
+        transport: transport,
+        logger: logger
+    };
+}
+
+/**
+ * Returns the contents of the current and the rotated files from the oldest.
+ * @param {Object} t the test setup.
+ * @returns {string[]}
+ */
+function readFiles(t) {
+    return fs.readdirSync(t.dir).sort().reverse().map(function (name) {
+        return fs.readFileSync(path.join(t.dir, name), "utf8");
+    });
+}
+
+/**
+ * Removes the temporary directory of the test setup.
+ * @param {Object} t the test setup.
+ */
+function tearDown(t) {
+    fs.rmSync(t.dir, { recursive: true, force: true });
+}
+
+/**
+ * Replaces <tt>fs.write</tt> for the duration of the test with the function
+ * which optionally writes the data synchronously, but calls the callback only
+ * when the test calls the returned function, as if the process exited while
+ * the asynchronous write was in progress.
+ * @param {boolean} writeData whether the data is written.
+ * @returns {function} completes the write and restores <tt>fs.write</tt>.
+ */
+function holdAsyncWrite(writeData) {
+    var write = fs.write;
+    var callback;
+
+    fs.write = function (fd, data, offset, length, position, cb) {
+        if (writeData) {
+            fs.writeSync(fd, data, offset, length, position);
+        }
+        callback = cb;
+    };
+
+    return function () {
+        fs.write = write;
+        callback(null);
+    };
+}
+
+test("writes the data of the write in progress on flushSync", function () {
+    var t = setUp();
+    var complete = holdAsyncWrite(false);
+
+    try {
+        t.logger.info("first");
+        t.logger.info("second");
+        t.transport.flushSync();
+        assert.deepStrictEqual(readFiles(t), [ "first\nsecond\n" ]);
+    } finally {
+        complete();
+    }
+
+    return t.transport.close().then(function () {
+        tearDown(t);
+    });
+});
+
+test("doesn't write the data of the completed write again on flushSync", function () {
+    var t = setUp();
+    var complete = holdAsyncWrite(true);
+
+    try {
+        t.logger.info("first");
+        t.logger.info("second");
+        t.transport.flushSync();
+        assert.deepStrictEqual(readFiles(t), [ "first\nsecond\n" ]);
+    } finally {
+        complete();
+    }
+
+    return t.transport.close().then(function () {
+        tearDown(t);
+    });
+});
+
+test("splits the buffered lines so that the files don't exceed maxSize", function () {
+    var t = setUp({
+        maxSize: 100,
+        maxFiles: 10
+    });
+    var expected = [];
+
+    for (var i = 0; i < 20; i++) {
+        var line = "line " + (i < 10 ? "0" + i : i) + " of the buffered output";
+        expected.push(line);
+        t.logger.info(line);
+    }
+
+    return t.transport.close().then(function () {
+        var files = readFiles(t);
+
+        assert.ok(files.length > 1);
+        files.forEach(function (content) {
+            assert.ok(Buffer.byteLength(content) <= 100, content);
+        });
+        assert.deepStrictEqual(files.join("").split("\n"), expected.concat(""));
+    }).then(function () {
+        tearDown(t);
+    }, function (error) {
+        tearDown(t);
+        throw error;
+    });
+});
+
+test("writes a line longer than maxSize to a file of its own", function () {
+    var t = setUp({ maxSize: 20 });
+    var long = new Array(31).join("x");
+
+    t.logger.info("short");
+    t.logger.info(long);
+    t.logger.info("short again");
+
+    return t.transport.close().then(function () {
+        assert.deepStrictEqual(readFiles(t), [ "short\n", long + "\n", "short again\n" ]);
+    }).then(function () {
+        tearDown(t);
+    }, function (error) {
+        tearDown(t);
+        throw error;
+    });
+});
+
+test("keeps maxFiles rotated files", function () {
+    var t = setUp({
+        maxSize: 10,
+        maxFiles: 2
+    });
+
+    [ "first", "second", "third", "fourth" ].forEach(function (line) {
+        t.logger.info(line);
+    });
+    t.transport.flushSync();
+
+    return t.transport.close().then(function () {
+        assert.deepStrictEqual(readFiles(t), [ "second\n", "third\n", "fourth\n" ]);
+    }).then(function () {
+        tearDown(t);
+    }, function (error) {
+        tearDown(t);
+        throw error;
+    });
+});
@@ -0,0 +1,120 @@
+/* Copyright @ 2015-present 8x8, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+var assert = require("assert");
+var test = require("node:test");
+var Logger = require("../lib/Logger");
+var FingersCrossedTransport = require("../lib/FingersCrossedTransport");
+
+/**
+ * Creates the transport which keeps the messages of the records.
+ * @returns {Object}
+ */
+function createRecordingTransport() {
+    var transport = {
+        acceptsRecords: true,
+        messages: []
+    };
+
+    Object.values(Logger.levels).forEach(function (level) {
+        transport[level] = function (record) {
+            transport.messages.push(record.args[0]);
+        };
+    });
+
+    return transport;
+}
+
+/**
+ * Passes the record with the given fields to the transport.
+ * @param {FingersCrossedTransport} transport the transport.
+ * @param {string} level the log level.
+ * @param {number} timestamp the time of the record.
+ * @param {string} message the logged message.
+ * @param {string} [loggerId] the id of the logger.
+ */
+function log(transport, level, timestamp, message, loggerId) {
+    transport[level]({
+        level: level,
+        loggerId: loggerId || "test",
+        timestamp: timestamp,
+        callerInfo: null,
+        args: [ message ],
+        context: {}
+    });
+}
+
+test("buffers the verbose messages until a trigger", function () {
+    var target = createRecordingTransport();
+    var transport = new FingersCrossedTransport(target);
+
+    log(transport, "debug", 1, "connecting");
+    log(transport, "info", 2, "connected");
+    log(transport, "trace", 3, "details");
+    assert.deepStrictEqual(target.messages, [ "connected" ]);
+
+    log(transport, "error", 4, "failed");
+    assert.deepStrictEqual(target.messages, [ "connected", "connecting", "details", "failed" ]);
+
+    // The buffer is emptied by the trigger.
+    log(transport, "error", 5, "failed again");
+    assert.deepStrictEqual(target.messages.slice(4), [ "failed again" ]);
+});
+
+test("triggers only the buffer of the same logger id", function () {
+    var target = createRecordingTransport();
+    var transport = new FingersCrossedTransport(target);
+
+    log(transport, "debug", 1, "xmpp details", "xmpp");
+    log(transport, "debug", 2, "rtc details", "rtc");
+    log(transport, "error", 3, "rtc failed", "rtc");
+    assert.deepStrictEqual(target.messages, [ "rtc details", "rtc failed" ]);
+
+    transport.trigger();
+    assert.deepStrictEqual(target.messages.slice(2), [ "xmpp details" ]);
+});
+
+test("passes on the buffered messages within the before window", function () {
+    var target = createRecordingTransport();
+    var transport = new FingersCrossedTransport(target, {
+        before: 100,
+        bufferSize: 3
+    });
+
+    log(transport, "debug", 0, "dropped by bufferSize");
+    log(transport, "debug", 850, "too old");
+    log(transport, "debug", 900, "recent");
+    log(transport, "debug", 950, "most recent");
+    log(transport, "error", 1000, "failed");
+
+    assert.deepStrictEqual(target.messages, [ "recent", "most recent", "failed" ]);
+});
+
+test("passes on all the messages within the after window", function () {
+    var target = createRecordingTransport();
+    var transport = new FingersCrossedTransport(target, {
+        after: 100,
+        triggerLevel: "warn",
+        passLevel: "warn"
+    });
+
+    log(transport, "warn", 1000, "degraded");
+    log(transport, "debug", 1100, "within the window");
+    log(transport, "info", 1101, "after the window");
+    assert.deepStrictEqual(target.messages, [ "degraded", "within the window" ]);
+
+    transport.clear();
+    log(transport, "error", 1200, "failed");
+    assert.deepStrictEqual(target.messages.slice(2), [ "failed" ]);
+});
@@ -0,0 +1,111 @@
+/* Copyright @ 2015-present 8x8, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+var assert = require("assert");
+var test = require("node:test");
+var Formatters = require("../lib/Formatters");
+
+/**
+ * Creates the log record with the given fields.
+ * @param {Object} [fields] the fields overriding the defaults.
+ * @returns {LogRecord}
+ */
+function createRecord(fields) {
+    return Object.assign({
+        level: "info",
+        severity: 2,
+        loggerId: "xmpp",
+        timestamp: Date.UTC(2021, 2, 4, 10, 20, 30, 400),
+        callerInfo: {
+            methodName: "connect",
+            fileLocation: "xmpp.js",
+            line: 12,
+            column: 5
+        },
+        args: [ "joined", { room: "abc" } ],
+        context: { session: "s1" }
+    }, fields);
+}
+
+test("renders the text template", function () {
+    var formatter = Formatters.text({
+        template: "{time} {LEVEL} [{logger}] [{context}] {file}:{line}:{column} <{caller}> {message}"
+    });
+
+    assert.strictEqual(formatter.format(createRecord()),
+        "2021-03-04T10:20:30.400Z INFO [xmpp] [session=s1] xmpp.js:12:5 <connect> joined {\"room\":\"abc\"}");
+});
+
+test("omits the parts of the text template whose fields are empty", function () {
+    var formatter = Formatters.text();
+    var record = createRecord({
+        loggerId: undefined,
+        callerInfo: null,
+        context: {}
+    });
+
+    assert.strictEqual(formatter.format(record), "2021-03-04T10:20:30.400Z [INFO] joined {\"room\":\"abc\"}");
+    // The console-style arguments keep the raw arguments after the prefix.
+    assert.deepStrictEqual(formatter.formatArguments(record),
+        [ "2021-03-04T10:20:30.400Z [INFO]", "joined", { room: "abc" } ]);
+});
+
+test("formats the time in UTC, in the local timezone or relative to the start", function () {
+    var record = createRecord();
+    var local = Formatters.text({
+        template: "{time}",
+        timezone: "local"
+    }).format(record);
+
+    assert.strictEqual(Formatters.text({
+        template: "{time}",
+        timezone: "utc"
+    }).format(record), "2021-03-04T10:20:30.400Z");
+    assert.match(local, /^2021-03-0[345]T\d{2}:\d{2}:30\.400[+-]\d{2}:\d{2}$/);
+    assert.strictEqual(new Date(local).getTime(), record.timestamp);
+    assert.strictEqual(Formatters.text({
+        template: "{time}",
+        time: "relative",
+        startTime: record.timestamp - 1500
+    }).format(record), "+1.500s");
+});
+
+test("formats the records as JSON lines", function () {
+    assert.deepStrictEqual(JSON.parse(Formatters.jsonLines().format(createRecord())), {
+        time: "2021-03-04T10:20:30.400Z",
+        level: "info",
+        logger: "xmpp",
+        caller: "connect",
+        file: "xmpp.js",
+        line: 12,
+        column: 5,
+        message: "joined {\"room\":\"abc\"}",
+        context: { session: "s1" }
+    });
+});
+
+test("quotes and escapes the logfmt values", function () {
+    var record = createRecord({
+        args: [ "said \"hi\"\nback\\slash" ],
+        context: {
+            "room name": "a=b",
+            empty: "",
+            plain: "value"
+        }
+    });
+
+    assert.strictEqual(Formatters.logfmt().format(record),
+        "time=2021-03-04T10:20:30.400Z level=info logger=xmpp caller=connect " +
+        "msg=\"said \\\"hi\\\"\\nback\\\\slash\" room_name=\"a=b\" empty=\"\" plain=value");
+});
@@ -0,0 +1,814 @@
+/* Copyright @ 2015-present 8x8, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+var assert = require("assert");
+var childProcess = require("child_process");
+var test = require("node:test");
+var zlib = require("zlib");
+var Formatters = require("../lib/Formatters");
+var Logger = require("../lib/Logger");
+var LogCollector = require("../lib/LogCollector");
+var LogPersistence = require("../lib/LogPersistence");
+
+// Keep the output of the tests clean.
+Logger.removeGlobalTransport(Logger.consoleTransport);
+
+/**
+ * Creates the scheduler which runs the timeouts only when the time is
+ * advanced, together with the clock of the same time.
+ * @returns {Object}
+ */
+function createFakeScheduler() {
+    var timeouts = [];
+    var nextID = 1;
+    var findNextTimeout = function (end) {
+        return timeouts.filter(function (timeout) {
+            return timeout.time <= end;
+        }).sort(function (a, b) {
+            return a.time - b.time;
+        })[0];
+    };
+    var scheduler = {
+        time: 0,
+        now: function () {
+            return scheduler.time;
+        },
+        setTimeout: function (callback, delay) {
+            var timeout = {
+                id: nextID++,
+                callback: callback,
+                time: scheduler.time + delay
+            };
+            timeouts.push(timeout);
+            return timeout.id;
+        },
+        clearTimeout: function (id) {
+            timeouts = timeouts.filter(function (timeout) {
+                return timeout.id !== id;
+            });
+        },
+        pendingCount: function () {
+            return timeouts.length;
+        },
+        advance: function (ms) {
+            var end = scheduler.time + ms;
+            var next;
+
+            while ((next = findNextTimeout(end))) {
+                scheduler.clearTimeout(next.id);
+                scheduler.time = next.time;
+                next.callback();
+            }
+            scheduler.time = end;
+        }
+    };
+
+    return scheduler;
+}
+
+/**
+ * Creates the log storage which keeps the stored batches.
+ * @returns {Object}
+ */
+function createStorage() {
+    return {
+        batches: [],
+        isReady: function () {
+            return true;
+        },
+        storeLogs: function (logs) {
+            this.batches.push(logs);
+        }
+    };
+}
+
+/**
+ * Creates the collector driven by a fake scheduler and a logger logging to it.
+ * @param {Object} [options] the additional options of the collector.
+ * @returns {Object}
+ */
+function setUp(options) {
+    var scheduler = createFakeScheduler();
+    var storage = createStorage();
+    var collector = new LogCollector(storage, Object.assign({
+        storeInterval: 1000,
+        scheduler: scheduler,
+        now: scheduler.now
+    }, options));
+    var logger = new Logger(Logger.levels.TRACE, "test", [ collector ], {
+        disableCallerInfo: true
+    });
+
+    collector.start();
+
+    return {
+        scheduler: scheduler,
+        storage: storage,
+        collector: collector,
+        logger: logger
+    };
+}
+
+/**
+ * Waits until the pending promise callbacks are called.
+ * @returns {Promise}
+ */
+function waitForPromises() {
+    return new Promise(function (resolve) {
+        setImmediate(resolve);
+    });
+}
+
+/**
+ * Waits until the given condition is met, e.g. until the asynchronous
+ * compression completes.
+ * @param {function(): boolean} condition the condition.
+ * @returns {Promise}
+ */
+function waitUntil(condition) {
+    var attempts = 0;
+
+    return new Promise(function (resolve, reject) {
+        var check = function () {
+            if (condition()) {
+                resolve();
+            } else if (++attempts > 1000) {
+                reject(new Error("The condition has not been met"));
+            } else {
+                setImmediate(check);
+            }
+        };
+
+        check();
+    });
+}
+
+/**
+ * Returns the texts of the entries of the given batch without the timestamp
+ * and the level prefixes.
+ * @param {Object[]} batch the batch.
+ * @returns {string[]}
+ */
+function getTexts(batch) {
+    return batch.map(function (entry) {
+        return entry.text.replace(/^\S+ \[\w+\] \[test\] /, "");
+    });
+}
+
+test("stores the logs when the interval elapses", function () {
+    var t = setUp();
+
+    t.logger.info("first");
+    t.logger.warn("second");
+    t.scheduler.advance(999);
+    assert.strictEqual(t.storage.batches.length, 0);
+
+    t.scheduler.advance(1);
+    assert.strictEqual(t.storage.batches.length, 1);
+    assert.deepStrictEqual(getTexts(t.storage.batches[0]), [ "first", "second" ]);
+    assert.deepStrictEqual(t.storage.batches[0].map(function (entry) {
+        return entry.level;
+    }), [ "info", "warn" ]);
+
+    t.collector.stop();
+});
+
+test("keeps storing the logs at the interval", function () {
+    var t = setUp();
+
+    t.logger.info("first");
+    t.scheduler.advance(1000);
+    t.scheduler.advance(1000);
+    t.logger.info("second");
+    t.scheduler.advance(1000);
+
+    assert.strictEqual(t.storage.batches.length, 2);
+    assert.deepStrictEqual(getTexts(t.storage.batches[1]), [ "second" ]);
+
+    t.collector.stop();
+});
+
+test("forces a flush when maxEntryLength is exceeded", function () {
+    var t = setUp({ maxEntryLength: 100 });
+
+    t.logger.info("short");
+    t.scheduler.advance(500);
+    assert.strictEqual(t.storage.batches.length, 0);
+
+    t.logger.info(new Array(100).join("x"));
+    assert.strictEqual(t.storage.batches.length, 1);
+    assert.strictEqual(t.storage.batches[0].length, 2);
+
+    // The interval is restarted by the forced flush.
+    t.logger.info("after");
+    t.scheduler.advance(999);
+    assert.strictEqual(t.storage.batches.length, 1);
+    t.scheduler.advance(1);
+    assert.strictEqual(t.storage.batches.length, 2);
+    assert.deepStrictEqual(getTexts(t.storage.batches[1]), [ "after" ]);
+
+    t.collector.stop();
+});
+
+test("caches the logs until the storage is ready", function () {
+    var t = setUp();
+    var ready = false;
+
+    t.storage.isReady = function () {
+        return ready;
+    };
+    t.logger.info("waiting");
+    t.scheduler.advance(1000);
+    assert.strictEqual(t.storage.batches.length, 0);
+
+    ready = true;
+    t.scheduler.advance(1000);
+    assert.strictEqual(t.storage.batches.length, 1);
+    assert.deepStrictEqual(getTexts(t.storage.batches[0]), [ "waiting" ]);
+
+    t.collector.stop();
+});
+
+test("stores the pending logs and stops the interval on stop", function () {
+    var t = setUp();
+
+    t.logger.info("pending");
+
+    return t.collector.stop().then(function (stored) {
+        assert.strictEqual(stored, true);
+        assert.strictEqual(t.storage.batches.length, 1);
+        assert.deepStrictEqual(getTexts(t.storage.batches[0]), [ "pending" ]);
+        assert.strictEqual(t.scheduler.pendingCount(), 0);
+
+        t.logger.info("after stop");
+        t.scheduler.advance(10000);
+        assert.strictEqual(t.storage.batches.length, 1);
+    });
+});
+
+test("resolves stop with false when the storage is not ready", function () {
+    var t = setUp();
+
+    t.storage.isReady = function () {
+        return false;
+    };
+    t.logger.info("pending");
+
+    return t.collector.stop().then(function (stored) {
+        assert.strictEqual(stored, false);
+        assert.strictEqual(t.storage.batches.length, 0);
+    });
+});
+
+test("stores the logs asynchronously before exiting on a signal", function () {
+    var script = [
+        "var Logger = require(" + JSON.stringify(require.resolve("../lib/Logger")) + ");",
+        "var LogCollector = require(" + JSON.stringify(require.resolve("../lib/LogCollector")) + ");",
+        "Logger.removeGlobalTransport(Logger.consoleTransport);",
+        "var collector = new LogCollector({",
+        "    isReady: function () { return true; },",
+        "    storeLogs: function (logs) {",
+        "        return new Promise(function (resolve) {",
+        "            setTimeout(function () {",
+        "                process.stdout.write('stored ' + logs.length + '\\n', resolve);",
+        "            }, 100);",
+        "        });",
+        "    }",
+        "}, { flushOnExit: true, storeInterval: 60000 });",
+        "collector.start();",
+        "new Logger('info', 'child', [ collector ]).info('before the signal');",
+        "setInterval(function () {}, 1000);",
+        "process.stdout.write('ready\\n');"
+    ].join("\n");
+    var child = childProcess.spawn(process.execPath, [ "-e", script ]);
+    var output = "";
+
+    return new Promise(function (resolve) {
+        child.stdout.on("data", function (data) {
+            output += data;
+            if (output === "ready\n") {
+                child.kill("SIGTERM");
+            }
+        });
+        child.on("exit", function (code, signal) {
+            resolve(signal);
+        });
+    }).then(function (signal) {
+        assert.strictEqual(output, "ready\nstored 1\n");
+        assert.strictEqual(signal, "SIGTERM");
+    });
+});
+
+test("stores the logs and exits when the process has nothing else to do", function () {
+    var script = [
+        "var Logger = require(" + JSON.stringify(require.resolve("../lib/Logger")) + ");",
+        "var LogCollector = require(" + JSON.stringify(require.resolve("../lib/LogCollector")) + ");",
+        "Logger.removeGlobalTransport(Logger.consoleTransport);",
+        "var collector = new LogCollector({",
+        "    isReady: function () { return true; },",
+        "    storeLogs: function (logs) {",
+        "        return new Promise(function (resolve) {",
+        "            setTimeout(function () {",
+        "                process.stdout.write('stored ' + logs.length + '\\n', resolve);",
+        "            }, 100);",
+        "        });",
+        "    }",
+        "}, { flushOnExit: true, storeInterval: 60000 });",
+        "collector.start();",
+        "new Logger('info', 'child', [ collector ]).info('logged once');"
+    ].join("\n");
+    var child = childProcess.spawn(process.execPath, [ "-e", script ]);
+    var output = "";
+    // Don't wait for the storeInterval if the process doesn't exit.
+    var timeout = setTimeout(function () {
+        child.kill();
+    }, 10000);
+
+    return new Promise(function (resolve) {
+        child.stdout.on("data", function (data) {
+            output += data;
+        });
+        child.on("exit", function (code) {
+            clearTimeout(timeout);
+            resolve(code);
+        });
+    }).then(function (code) {
+        assert.strictEqual(output, "stored 1\n");
+        assert.strictEqual(code, 0);
+    });
+});
+
+test("persists the logged messages at most once per persistInterval", function () {
+    var persistence = new LogPersistence.MemoryLogPersistence();
+    var saveCount = 0;
+    var save = persistence.save;
+    persistence.save = function (batches) {
+        saveCount += 1;
+        save.call(persistence, batches);
+    };
+    var t = setUp({
+        persistence: persistence,
+        persistInterval: 100
+    });
+
+    t.logger.info("first");
+    t.logger.info("second");
+    assert.strictEqual(saveCount, 0);
+
+    t.scheduler.advance(100);
+    assert.strictEqual(saveCount, 1);
+    assert.deepStrictEqual(getTexts(JSON.parse(persistence.data)[0]), [ "first", "second" ]);
+
+    t.scheduler.advance(100);
+    assert.strictEqual(saveCount, 1);
+
+    t.collector.stop();
+});
+
+test("replays the persisted logs in a new collector", function () {
+    var persistence = new LogPersistence.MemoryLogPersistence();
+    var crashed = setUp({
+        persistence: persistence,
+        persistInterval: 100
+    });
+
+    crashed.storage.isReady = function () {
+        return false;
+    };
+    crashed.logger.info("before the crash");
+    crashed.scheduler.advance(100);
+    // The collector crashes without being stopped.
+
+    var t = setUp({ persistence: persistence });
+
+    return waitForPromises().then(function () {
+        return t.collector.flush();
+    }).then(function (stored) {
+        assert.strictEqual(stored, true);
+        assert.strictEqual(t.storage.batches.length, 1);
+        assert.deepStrictEqual(getTexts(t.storage.batches[0]), [ "before the crash" ]);
+        assert.deepStrictEqual(JSON.parse(persistence.data), []);
+
+        t.collector.stop();
+    });
+});
+
+test("masks the keys in the formatted messages and the context", function () {
+    var t = setUp({
+        formatter: Formatters.jsonLines(),
+        redaction: { keys: [ "password" ] }
+    });
+
+    t.logger.child({ password: "in context" }).info("login", { user: "alice", password: "secret" });
+    t.scheduler.advance(1000);
+
+    var entry = t.storage.batches[0][0];
+    var line = JSON.parse(entry.text);
+    assert.strictEqual(line.message.indexOf("secret"), -1);
+    assert.notStrictEqual(line.message.indexOf("[REDACTED]"), -1);
+    assert.deepStrictEqual(line.context, { password: "[REDACTED]" });
+    assert.deepStrictEqual(entry.context, { password: "[REDACTED]" });
+
+    t.collector.stop();
+});
+
+test("stores the positional arguments of the direct calls", function () {
+    var t = setUp();
+
+    t.collector.info("2024-01-01T00:00:00.000Z", "[INFO]", "direct", 1);
+    t.scheduler.advance(1000);
+
+    assert.deepStrictEqual(t.storage.batches[0].map(function (entry) {
+        return [ entry.text, entry.level ];
+    }), [ [ "2024-01-01T00:00:00.000Z [INFO] direct 1", "info" ] ]);
+
+    t.collector.stop();
+});
+
+/**
+ * Records the events emitted by the collector.
+ * @param {LogCollector} collector the collector.
+ * @returns {Array<{event: string, details: Object}>}
+ */
+function recordEvents(collector) {
+    var events = [];
+
+    Object.values(LogCollector.events).forEach(function (event) {
+        collector.addListener(event, function (details) {
+            events.push({
+                event: event,
+                details: details
+            });
+        });
+    });
+
+    return events;
+}
+
+test("retries the failed stores with an exponential backoff", function (t) {
+    t.mock.method(console, "error", function () {});
+    // Without the jitter the delay is the full backoff.
+    t.mock.method(Math, "random", function () {
+        return 1;
+    });
+    var s = setUp({
+        retryBaseDelay: 100,
+        maxStoreAttempts: 5
+    });
+    var events = recordEvents(s.collector);
+    var attempts = 0;
+
+    s.storage.storeLogs = function (logs) {
+        attempts += 1;
+        if (attempts < 4) {
+            throw new Error("unavailable");
+        }
+        this.batches.push(logs);
+    };
+    s.logger.info("retried");
+    s.scheduler.advance(1000);
+    assert.strictEqual(attempts, 1);
+
+    s.scheduler.advance(99);
+    assert.strictEqual(attempts, 1);
+    s.scheduler.advance(1);
+    assert.strictEqual(attempts, 2);
+    s.scheduler.advance(200);
+    assert.strictEqual(attempts, 3);
+    s.scheduler.advance(400);
+    assert.strictEqual(attempts, 4);
+
+    assert.deepStrictEqual(events.map(function (e) {
+        return [ e.event, e.details.attempt, e.details.delay ];
+    }), [
+        [ "retrying", 1, 100 ],
+        [ "retrying", 2, 200 ],
+        [ "retrying", 3, 400 ],
+        [ "stored", undefined, undefined ]
+    ]);
+    assert.strictEqual(events[0].details.error.message, "unavailable");
+    assert.deepStrictEqual(getTexts(s.storage.batches[0]), [ "retried" ]);
+
+    s.collector.stop();
+});
+
+test("drops the batch after maxStoreAttempts and reports it", function (t) {
+    t.mock.method(console, "error", function () {});
+    t.mock.method(Math, "random", function () {
+        return 1;
+    });
+    var s = setUp({
+        retryBaseDelay: 100,
+        maxStoreAttempts: 2
+    });
+    var events = recordEvents(s.collector);
+    var available = false;
+
+    s.storage.storeLogs = function (logs) {
+        if (!available) {
+            throw new Error("unavailable");
+        }
+        this.batches.push(logs);
+    };
+    s.logger.warn("lost");
+    s.scheduler.advance(1000);
+    s.scheduler.advance(100);
+
+    assert.deepStrictEqual(events.map(function (e) {
+        return e.event;
+    }), [ "retrying", "dropped" ]);
+    assert.strictEqual(events[1].details.reason, "attempts");
+    assert.strictEqual(events[1].details.error.message, "unavailable");
+    assert.deepStrictEqual(getTexts(events[1].details.logs), [ "lost" ]);
+
+    available = true;
+    s.logger.info("after");
+    s.scheduler.advance(900);
+
+    var texts = getTexts(s.storage.batches[0]);
+    assert.strictEqual(texts.length, 2);
+    assert.match(texts[0], /^LogCollector dropped 1 messages \(warn: 1\) logged between /);
+    assert.strictEqual(texts[1], "after");
+    assert.deepStrictEqual(s.storage.batches[0][0].dropped.counts, { warn: 1 });
+
+    s.collector.stop();
+});
+
+/**
+ * Logs the messages at the given levels, each forcing a batch of its own,
+ * while the storage is not ready and returns the texts of the cached batches.
+ * @param {Object} s the test setup.
+ * @param {string[]} levels the levels of the messages.
+ * @returns {string[][]}
+ */
+function cacheBatches(s, levels) {
+    s.storage.isReady = function () {
+        return false;
+    };
+    levels.forEach(function (level, i) {
+        s.logger[level]("message " + i);
+    });
+
+    return s.collector.outputCache.map(getTexts);
+}
+
+test("drops the oldest batches on overflow by default", function () {
+    var s = setUp({
+        maxEntryLength: 1,
+        maxCachedBatches: 3
+    });
+    var events = recordEvents(s.collector);
+
+    assert.deepStrictEqual(cacheBatches(s, [ "info", "info", "info", "info" ]), [
+        [ "message 1" ],
+        [ "message 2" ],
+        [ "message 3" ]
+    ]);
+    assert.strictEqual(events.length, 1);
+    assert.strictEqual(events[0].event, "dropped");
+    assert.strictEqual(events[0].details.reason, "overflow");
+    assert.deepStrictEqual(getTexts(events[0].details.logs), [ "message 0" ]);
+
+    s.storage.isReady = function () {
+        return true;
+    };
+    s.collector.flush();
+    assert.strictEqual(s.storage.batches.length, 3);
+
+    // The drop is reported in the next batch.
+    s.logger.info("message 4");
+    var texts = getTexts(s.storage.batches[3]);
+    assert.strictEqual(texts.length, 2);
+    assert.match(texts[0], /^LogCollector dropped 1 messages \(info: 1\)/);
+    assert.strictEqual(texts[1], "message 4");
+
+    s.collector.stop();
+});
+
+test("drops the newest batches on overflow with the drop-newest policy", function () {
+    var s = setUp({
+        maxEntryLength: 1,
+        maxCachedBatches: 3,
+        overflowPolicy: LogCollector.overflowPolicies.DROP_NEWEST
+    });
+
+    assert.deepStrictEqual(cacheBatches(s, [ "info", "info", "info", "info" ]), [
+        [ "message 0" ],
+        [ "message 1" ],
+        [ "message 2" ]
+    ]);
+
+    s.collector.stop();
+});
+
+test("drops the least severe batches on overflow with the drop-lowest-severity policy", function () {
+    var s = setUp({
+        maxEntryLength: 1,
+        maxCachedBatches: 3,
+        overflowPolicy: LogCollector.overflowPolicies.DROP_LOWEST_SEVERITY
+    });
+
+    assert.deepStrictEqual(cacheBatches(s, [ "info", "error", "debug", "warn" ]), [
+        [ "message 0" ],
+        [ "message 1" ],
+        [ "message 3" ]
+    ]);
+
+    s.collector.stop();
+});
+
+test("drops the least severe entries when maxRetainedBytes is exceeded", function () {
+    // Two messages of about 50 characters force a batch.
+    var s = setUp({
+        maxEntryLength: 60,
+        maxRetainedBytes: 150,
+        overflowPolicy: LogCollector.overflowPolicies.DROP_LOWEST_SEVERITY
+    });
+    var events = recordEvents(s.collector);
+
+    assert.deepStrictEqual(cacheBatches(s, [ "debug", "info", "debug", "warn" ]), [
+        [ "message 1" ],
+        [ "message 2", "message 3" ]
+    ]);
+    assert.deepStrictEqual(getTexts(events[0].details.logs), [ "message 0" ]);
+
+    s.collector.stop();
+});
+
+/**
+ * Passes the record with the given fields to the collector, so that its
+ * timestamp is under the control of the test.
+ * @param {LogCollector} collector the collector.
+ * @param {number} timestamp the time of the record.
+ * @param {Array} args the logged arguments.
+ * @param {string} [level] the log level. Defaults to "info".
+ */
+function logRecord(collector, timestamp, args, level) {
+    collector[level || "info"]({
+        level: level || "info",
+        loggerId: "test",
+        timestamp: timestamp,
+        callerInfo: null,
+        args: args,
+        context: {}
+    });
+}
+
+test("aggregates the messages repeated within the window", function () {
+    var s = setUp({ aggregation: { window: 1000 } });
+
+    logRecord(s.collector, 0, [ "repeated" ]);
+    logRecord(s.collector, 100, [ "other" ]);
+    logRecord(s.collector, 200, [ "repeated" ]);
+    logRecord(s.collector, 300, [ "repeated" ], "warn");
+    logRecord(s.collector, 999, [ "repeated" ]);
+    // Starts a new entry, because the window is counted from the first one.
+    logRecord(s.collector, 1000, [ "repeated" ]);
+    s.scheduler.advance(1000);
+
+    assert.deepStrictEqual(s.storage.batches[0].map(function (entry) {
+        return [ getTexts([ entry ])[0], entry.level, entry.count, entry.firstTimestamp, entry.lastTimestamp ];
+    }), [
+        [ "repeated", "info", 3, "1970-01-01T00:00:00.000Z", "1970-01-01T00:00:00.999Z" ],
+        [ "other", "info", 1, "1970-01-01T00:00:00.100Z", "1970-01-01T00:00:00.100Z" ],
+        [ "repeated", "warn", 1, "1970-01-01T00:00:00.300Z", "1970-01-01T00:00:00.300Z" ],
+        [ "repeated", "info", 1, "1970-01-01T00:00:01.000Z", "1970-01-01T00:00:01.000Z" ]
+    ]);
+
+    s.collector.stop();
+});
+
+test("closes the aggregated entries on flush", function () {
+    var s = setUp({ aggregation: { window: 10000 } });
+
+    logRecord(s.collector, 0, [ "repeated" ]);
+    s.scheduler.advance(1000);
+    logRecord(s.collector, 1000, [ "repeated" ]);
+    s.scheduler.advance(1000);
+
+    assert.deepStrictEqual(s.storage.batches.map(function (batch) {
+        return batch[0].count;
+    }), [ 1, 1 ]);
+
+    s.collector.stop();
+});
+
+test("aggregates the messages by their normalized template", function () {
+    var s = setUp({ aggregation: { normalize: true } });
+    var custom = setUp({
+        aggregation: {
+            normalize: function (msg) {
+                return msg.split(":")[0];
+            }
+        }
+    });
+
+    logRecord(s.collector, 0, [ "Stats for 1234 at 5.5" ]);
+    logRecord(s.collector, 1, [ "Stats for 5678 at 6" ]);
+    logRecord(s.collector, 2, [ "Endpoint 0f1e2d3c4b5a joined" ]);
+    logRecord(s.collector, 3, [ "Endpoint 9a8b7c6d5e4f joined" ]);
+    logRecord(s.collector, 4, [ "Endpoint ab12cd34-0000-4000-8000-1234567890ab left" ]);
+    logRecord(s.collector, 5, [ "Endpoint 12345678-0000-4000-8000-abcdefabcdef left" ]);
+    s.scheduler.advance(1000);
+
+    logRecord(custom.collector, 0, [ "error: a" ]);
+    logRecord(custom.collector, 1, [ "error: b" ]);
+    custom.scheduler.advance(1000);
+
+    assert.deepStrictEqual(s.storage.batches[0].map(function (entry) {
+        return [ getTexts([ entry ])[0], entry.count ];
+    }), [
+        [ "Stats for 1234 at 5.5", 2 ],
+        [ "Endpoint 0f1e2d3c4b5a joined", 2 ],
+        [ "Endpoint ab12cd34-0000-4000-8000-1234567890ab left", 2 ]
+    ]);
+    assert.deepStrictEqual(custom.storage.batches[0].map(function (entry) {
+        return [ getTexts([ entry ])[0], entry.count ];
+    }), [ [ "error: a", 2 ] ]);
+
+    s.collector.stop();
+    custom.collector.stop();
+});
+
+test("splits the batches exceeding maxBatchBytes", function () {
+    var s = setUp({ maxBatchBytes: 300 });
+    var long = new Array(400).join("x");
+
+    for (var i = 0; i < 5; i++) {
+        s.logger.info("message " + i);
+    }
+    s.logger.info(long);
+    s.scheduler.advance(1000);
+
+    var batches = s.storage.batches;
+    assert.ok(batches.length > 1);
+    batches.forEach(function (batch) {
+        assert.ok(Buffer.byteLength(JSON.stringify(batch)) <= 300);
+    });
+
+    var texts = [].concat.apply([], batches.map(getTexts));
+    assert.deepStrictEqual(texts.slice(0, 5), [
+        "message 0", "message 1", "message 2", "message 3", "message 4"
+    ]);
+    // The entry which doesn't fit in a batch of its own is truncated.
+    assert.strictEqual(texts.length, 6);
+    assert.match(texts[5], /^x+\.\.\.$/);
+
+    s.collector.stop();
+});
+
+test("compresses the batches with their sequence numbers", function (t) {
+    t.mock.method(console, "error", function () {});
+    var s = setUp({ compression: "gzip" });
+    var payloads = [];
+    var failures = 1;
+
+    s.storage.storeLogs = function (payload) {
+        payloads.push(payload);
+        if (failures) {
+            failures -= 1;
+            throw new Error("unavailable");
+        }
+    };
+    s.logger.info("first");
+    s.scheduler.advance(1000);
+
+    return waitUntil(function () {
+        return payloads.length === 1;
+    }).then(function () {
+        // The batch is retried after a failure.
+        s.scheduler.advance(1000);
+
+        return waitUntil(function () {
+            return payloads.length === 2;
+        });
+    }).then(function () {
+        s.logger.info("second");
+
+        return s.collector.flush();
+    }).then(function (stored) {
+        assert.strictEqual(stored, true);
+        assert.strictEqual(payloads.length, 3);
+        assert.deepStrictEqual(payloads.map(function (payload) {
+            return [ payload.seq, payload.batchId.split("-")[1], payload.encoding ];
+        }), [ [ 0, "0", "gzip" ], [ 0, "0", "gzip" ], [ 1, "1", "gzip" ] ]);
+        assert.strictEqual(payloads[0].batchId, payloads[1].batchId);
+
+        var json = zlib.gunzipSync(Buffer.from(payloads[2].data)).toString();
+        assert.strictEqual(payloads[2].originalSize, Buffer.byteLength(json));
+        assert.deepStrictEqual(getTexts(JSON.parse(json)), [ "second" ]);
+
+        s.collector.stop();
+    });
+});
@@ -0,0 +1,57 @@
+/* Copyright @ 2015-present 8x8, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+var assert = require("assert");
+var test = require("node:test");
+var LogFilter = require("../lib/LogFilter");
+
+test("parses the level after the last colon of the entry", function () {
+    assert.deepStrictEqual(LogFilter.parseLogFilter("JitsiConference:1:debug, xmpp.*:WARN"), {
+        defaultLevel: undefined,
+        rules: {
+            "JitsiConference:1": "debug",
+            "xmpp.*": "warn"
+        }
+    });
+});
+
+test("keeps the colon in the pattern if the text after it is not a level", function () {
+    assert.deepStrictEqual(LogFilter.parseLogFilter("JitsiConference:1").rules, {
+        "JitsiConference:1": "trace"
+    });
+});
+
+test("disables the loggers of the entries prefixed with a minus", function () {
+    assert.deepStrictEqual(LogFilter.parseLogFilter("-stats,rtc").rules, {
+        stats: "off",
+        rtc: "trace"
+    });
+});
+
+test("sets the default level with the star entry", function () {
+    assert.deepStrictEqual(LogFilter.parseLogFilter("*"), {
+        defaultLevel: "trace",
+        rules: {}
+    });
+    assert.strictEqual(LogFilter.parseLogFilter("*:error").defaultLevel, "error");
+    assert.strictEqual(LogFilter.parseLogFilter("-*").defaultLevel, "off");
+});
+
+test("ignores the empty entries", function () {
+    assert.deepStrictEqual(LogFilter.parseLogFilter(" ,, "), {
+        defaultLevel: undefined,
+        rules: {}
+    });
+    assert.deepStrictEqual(LogFilter.parseLogFilter(undefined).rules, {});
+});
@@ -0,0 +1,184 @@
+/* Copyright @ 2015-present 8x8, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+var assert = require("assert");
+var test = require("node:test");
+var LogPersistence = require("../lib/LogPersistence");
+
+/**
+ * Creates the IndexedDB factory keeping the records of a single object store
+ * in memory. The requests succeed asynchronously and the transaction
+ * completes once it has no pending requests.
+ * @returns {Object}
+ */
+function createFakeIndexedDB() {
+    var records = {};
+    var upgraded = false;
+
+    var createTransaction = function () {
+        var pendingCount = 0;
+        var transaction = {
+            error: null
+        };
+        // The request of a cursor is reused when it continues.
+        var createRequest = function (getResult, request) {
+            request = request || {};
+            pendingCount += 1;
+            setImmediate(function () {
+                pendingCount -= 1;
+                request.result = getResult();
+                if (request.onsuccess) {
+                    request.onsuccess();
+                }
+                setImmediate(function () {
+                    if (!pendingCount && transaction.oncomplete) {
+                        transaction.oncomplete();
+                        transaction.oncomplete = null;
+                    }
+                });
+            });
+
+            return request;
+        };
+        var store = {
+            get: function (key) {
+                return createRequest(function () {
+                    return records[key];
+                });
+            },
+            put: function (value, key) {
+                return createRequest(function () {
+                    records[key] = JSON.parse(JSON.stringify(value));
+
+                    return key;
+                });
+            },
+            openCursor: function () {
+                var keys = Object.keys(records).sort();
+                var index = 0;
+                var request;
+                var getCursor = function () {
+                    var key = keys[index];
+
+                    return index < keys.length ? {
+                        key: key,
+                        value: records[key],
+                        delete: function () {
+                            delete records[key];
+                        },
+                        continue: function () {
+                            index += 1;
+                            createRequest(getCursor, request);
+                        }
+                    } : null;
+                };
+
+                request = createRequest(getCursor);
+
+                return request;
+            }
+        };
+
+        transaction.objectStore = function () {
+            return store;
+        };
+
+        return transaction;
+    };
+
+    return {
+        records: records,
+        open: function () {
+            var request = {};
+
+            setImmediate(function () {
+                request.result = {
+                    createObjectStore: function () {},
+                    transaction: createTransaction
+                };
+                if (!upgraded) {
+                    upgraded = true;
+                    request.onupgradeneeded();
+                }
+                request.onsuccess();
+            });
+
+            return request;
+        }
+    };
+}
+
+/**
+ * Creates the persistence with the given key, using the given IndexedDB.
+ * @param {Object} indexedDB the IndexedDB factory.
+ * @param {string} key the key of the batches of the persistence.
+ * @returns {IndexedDBLogPersistence}
+ */
+function createPersistence(indexedDB, key) {
+    var persistence = new LogPersistence.IndexedDBLogPersistence({ indexedDB: indexedDB });
+
+    persistence.key = key;
+
+    return persistence;
+}
+
+test("keeps the batches of each session under a key of their own", function () {
+    var indexedDB = createFakeIndexedDB();
+    var first = new LogPersistence.IndexedDBLogPersistence({ indexedDB: indexedDB });
+    var second = new LogPersistence.IndexedDBLogPersistence({ indexedDB: indexedDB });
+
+    return Promise.all([
+        first.save([ [ { text: "first" } ] ]),
+        second.save([ [ { text: "second" } ] ])
+    ]).then(function () {
+        assert.notStrictEqual(first.key, second.key);
+        assert.deepStrictEqual(indexedDB.records[first.key], [ [ { text: "first" } ] ]);
+        assert.deepStrictEqual(indexedDB.records[second.key], [ [ { text: "second" } ] ]);
+    });
+});
+
+test("loads and claims the batches of the other sessions", function () {
+    var indexedDB = createFakeIndexedDB();
+    var first = createPersistence(indexedDB, "pending:1:a");
+    var second = createPersistence(indexedDB, "pending:2:b");
+    var next = createPersistence(indexedDB, "pending:3:c");
+
+    indexedDB.records.pending = [ [ { text: "older version" } ] ];
+    indexedDB.records.other = "unrelated";
+
+    return Promise.all([
+        first.save([ [ { text: "first" } ] ]),
+        second.save([ [ { text: "second" } ] ])
+    ]).then(function () {
+        return next.load();
+    }).then(function (batches) {
+        var expected = [
+            [ { text: "older version" } ],
+            [ { text: "first" } ],
+            [ { text: "second" } ]
+        ];
+
+        assert.deepStrictEqual(batches, expected);
+        // The claimed batches are moved, so that they're not loaded again.
+        assert.deepStrictEqual(indexedDB.records, {
+            other: "unrelated",
+            "pending:3:c": expected
+        });
+
+        return createPersistence(indexedDB, "pending:4:d").load();
+    }).then(function (batches) {
+        assert.strictEqual(batches.length, 3);
+        assert.deepStrictEqual(Object.keys(indexedDB.records).sort(), [ "other", "pending:4:d" ]);
+    });
+});
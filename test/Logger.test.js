@@ -0,0 +1,331 @@
+/* Copyright @ 2015-present 8x8, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+var assert = require("assert");
+var test = require("node:test");
+var Logger = require("../lib/Logger");
+var ConsoleCapture = require("../lib/ConsoleCapture");
+var TraceEvents = require("../lib/TraceEvents");
+
+// Keep the output of the tests clean.
+Logger.removeGlobalTransport(Logger.consoleTransport);
+
+/**
+ * Creates the transport which keeps the records.
+ * @returns {Object}
+ */
+function createRecordingTransport() {
+    var transport = {
+        acceptsRecords: true,
+        records: []
+    };
+
+    Object.values(Logger.levels).forEach(function (level) {
+        transport[level] = function (record) {
+            transport.records.push(record);
+        };
+    });
+
+    return transport;
+}
+
+test("reports the caller of the log methods", function () {
+    var transport = createRecordingTransport();
+    var logger = new Logger(Logger.levels.TRACE, "test", [ transport ]);
+
+    function logDirectly() {
+        logger.info("direct");
+    }
+    function logWithChild() {
+        logger.child({ a: 1 }).warn("child");
+    }
+    function logLazily() {
+        logger.debugLazy(function () {
+            return "lazy";
+        });
+    }
+    logDirectly();
+    logWithChild();
+    logLazily();
+
+    assert.deepStrictEqual(transport.records.map(function (record) {
+        return [ record.callerInfo.methodName, record.callerInfo.fileLocation ];
+    }), [
+        [ "logDirectly", __filename ],
+        [ "logWithChild", __filename ],
+        [ "logLazily", __filename ]
+    ]);
+});
+
+test("reports the caller of the captured console methods", function () {
+    var transport = createRecordingTransport();
+    var logger = new Logger(Logger.levels.TRACE, "console", [ transport ]);
+    var restore = ConsoleCapture.capture(logger);
+
+    function logToConsole() {
+        console.warn("captured");
+    }
+    try {
+        logToConsole();
+    } finally {
+        restore();
+    }
+
+    assert.strictEqual(transport.records.length, 1);
+    assert.strictEqual(transport.records[0].callerInfo.methodName, "logToConsole");
+    assert.strictEqual(transport.records[0].callerInfo.fileLocation, __filename);
+});
+
+test("doesn't report the caller when it's disabled", function () {
+    var transport = createRecordingTransport();
+    var logger = new Logger(Logger.levels.TRACE, "test", [ transport ], {
+        disableCallerInfo: true
+    });
+
+    logger.info("message");
+
+    assert.strictEqual(transport.records[0].callerInfo, null);
+});
+
+test("reports the suppressed messages after the logger stops logging", function () {
+    var transport = createRecordingTransport();
+    var logger = new Logger(Logger.levels.TRACE, "flood", [ transport ], {
+        disableCallerInfo: true,
+        rateLimit: {
+            rate: 1,
+            burst: 2,
+            summaryInterval: 20
+        }
+    });
+
+    for (var i = 0; i < 5; i++) {
+        logger.info("flood", i);
+    }
+    assert.strictEqual(transport.records.length, 2);
+
+    return new Promise(function (resolve) {
+        setTimeout(resolve, 50);
+    }).then(function () {
+        assert.strictEqual(transport.records.length, 3);
+        assert.strictEqual(transport.records[2].level, "warn");
+        assert.match(transport.records[2].args[0], /^Suppressed 3 messages \(info: 3\)/);
+    });
+});
+
+test("redacts the context of the suppressed messages report", function () {
+    var transport = createRecordingTransport();
+    var logger = new Logger(Logger.levels.TRACE, "redacted flood", [ transport ], {
+        disableCallerInfo: true,
+        redaction: { keys: [ "token" ] },
+        rateLimit: {
+            rate: 1,
+            burst: 1,
+            summaryInterval: 20
+        }
+    }).child({ token: "secret" });
+
+    logger.info("flood", 1);
+    logger.info("flood", 2);
+
+    return new Promise(function (resolve) {
+        setTimeout(resolve, 50);
+    }).then(function () {
+        assert.strictEqual(transport.records.length, 2);
+        assert.match(transport.records[1].args[0], /^Suppressed 1 messages/);
+        assert.deepStrictEqual(transport.records[1].context, { token: "[REDACTED]" });
+    });
+});
+
+test("invokes the lazy arguments only if the message is logged", function () {
+    var transport = createRecordingTransport();
+    var logger = new Logger(Logger.levels.INFO, "lazy", [ transport ], {
+        disableCallerInfo: true
+    });
+    var calls = 0;
+    var expensive = function () {
+        calls += 1;
+
+        return "expensive";
+    };
+
+    // Dropped by the level of the logger.
+    logger.debugLazy("state:", expensive);
+    assert.strictEqual(calls, 0);
+
+    // Dropped by the level of the only transport.
+    Logger.setTransportOptions(transport, { level: Logger.levels.ERROR });
+    logger.warnLazy("state:", expensive);
+    assert.strictEqual(calls, 0);
+    assert.strictEqual(transport.records.length, 0);
+
+    logger.errorLazy("state:", expensive, function () {
+        throw new Error("failed");
+    });
+    assert.strictEqual(calls, 1);
+    assert.strictEqual(transport.records[0].args[1], "expensive");
+    assert.strictEqual(transport.records[0].args[2].message, "failed");
+
+    Logger.setTransportOptions(transport, null);
+});
+
+test("tells whether a level would reach any transport", function () {
+    var transport = createRecordingTransport();
+    var logger = new Logger(Logger.levels.INFO, "enabled", [ transport ]);
+
+    assert.strictEqual(logger.isLevelEnabled(Logger.levels.DEBUG), false);
+    assert.strictEqual(logger.isLevelEnabled(Logger.levels.INFO), true);
+
+    Logger.setTransportOptions(transport, { level: Logger.LEVEL_OFF });
+    assert.strictEqual(logger.isLevelEnabled(Logger.levels.ERROR), false);
+
+    Logger.setTransportOptions(transport, { level: Logger.levels.WARN });
+    assert.strictEqual(logger.isLevelEnabled(Logger.levels.INFO), false);
+    assert.strictEqual(logger.isLevelEnabled(Logger.levels.WARN), true);
+
+    Logger.setTransportOptions(transport, null);
+});
+
+test("clears the options of a removed global transport", function () {
+    var transport = createRecordingTransport();
+    var logger = new Logger(Logger.levels.TRACE, "test", [], {
+        disableCallerInfo: true
+    });
+
+    Logger.addGlobalTransport(transport, { level: "warn" });
+    logger.info("filtered");
+    logger.warn("passed");
+    assert.strictEqual(transport.records.length, 1);
+
+    Logger.removeGlobalTransport(transport);
+    logger.warn("removed");
+    assert.strictEqual(transport.records.length, 1);
+
+    // Added again without options, so the previous level doesn't apply.
+    Logger.addGlobalTransport(transport);
+    logger.info("added again");
+    Logger.removeGlobalTransport(transport);
+    assert.strictEqual(transport.records.length, 2);
+    assert.deepStrictEqual(transport.records[1].args, [ "added again" ]);
+});
+
+test("logs the elapsed time of the timers", function (t) {
+    var transport = createRecordingTransport();
+    var logger = new Logger(Logger.levels.TRACE, "timers", [ transport ]);
+    var now = 1000;
+
+    t.mock.method(Date, "now", function () {
+        return now;
+    });
+
+    logger.time("join");
+    now = 2200;
+    assert.strictEqual(logger.timeEnd("join", Logger.levels.DEBUG), 1200);
+    assert.strictEqual(logger.timeEnd("join"), undefined);
+
+    assert.strictEqual(transport.records.length, 1);
+    assert.strictEqual(transport.records[0].level, "debug");
+    assert.deepStrictEqual(transport.records[0].args, [ "join took 1200 ms" ]);
+});
+
+test("nests the spans and exports them as trace events", function (t) {
+    var transport = createRecordingTransport();
+    var logger = new Logger(Logger.levels.TRACE, "spans", [ transport ]);
+    var now = 1000;
+
+    t.mock.method(Date, "now", function () {
+        return now;
+    });
+    TraceEvents.clearSpans();
+
+    var session = logger.span("session", { room: "r1" });
+    now = 1010;
+    var initiate = session.span("initiate");
+    now = 1050;
+    initiate.info("offer sent");
+    assert.strictEqual(initiate.end({ result: "ok" }), 40);
+    assert.strictEqual(initiate.end(), undefined);
+    now = 1100;
+    assert.strictEqual(session.end(), 100);
+
+    var other = logger.span("other");
+    other.end();
+
+    assert.strictEqual(session.context.room, "r1");
+    assert.strictEqual(session.context.traceId.length, 32);
+    assert.strictEqual(session.context.spanId.length, 16);
+    assert.strictEqual(session.context.hasOwnProperty("parentSpanId"), false);
+    assert.strictEqual(initiate.context.traceId, session.context.traceId);
+    assert.strictEqual(initiate.context.parentSpanId, session.context.spanId);
+    assert.notStrictEqual(other.context.traceId, session.context.traceId);
+
+    assert.deepStrictEqual(transport.records.map(function (record) {
+        return [ record.args, record.context.spanId ];
+    }), [
+        [ [ "session started" ], session.context.spanId ],
+        [ [ "initiate started" ], initiate.context.spanId ],
+        [ [ "offer sent" ], initiate.context.spanId ],
+        [ [ "initiate ended in 40 ms", { result: "ok" } ], initiate.context.spanId ],
+        [ [ "session ended in 100 ms" ], session.context.spanId ],
+        [ [ "other started" ], other.context.spanId ],
+        [ [ "other ended in 0 ms" ], other.context.spanId ]
+    ]);
+
+    assert.deepStrictEqual(TraceEvents.exportTraceEvents(), {
+        traceEvents: [ {
+            name: "initiate",
+            cat: "spans",
+            ph: "X",
+            ts: 1010000,
+            dur: 40000,
+            pid: 1,
+            tid: 1,
+            args: {
+                traceId: session.context.traceId,
+                spanId: initiate.context.spanId,
+                parentSpanId: session.context.spanId,
+                result: "ok"
+            }
+        }, {
+            name: "session",
+            cat: "spans",
+            ph: "X",
+            ts: 1000000,
+            dur: 100000,
+            pid: 1,
+            tid: 1,
+            args: {
+                traceId: session.context.traceId,
+                spanId: session.context.spanId,
+                parentSpanId: undefined,
+                room: "r1"
+            }
+        }, {
+            name: "other",
+            cat: "spans",
+            ph: "X",
+            ts: 1100000,
+            dur: 0,
+            pid: 1,
+            tid: 2,
+            args: {
+                traceId: other.context.traceId,
+                spanId: other.context.spanId,
+                parentSpanId: undefined
+            }
+        } ]
+    });
+
+    TraceEvents.clearSpans();
+    assert.deepStrictEqual(TraceEvents.exportTraceEvents(), { traceEvents: [] });
+});
@@ -0,0 +1,59 @@
+/* Copyright @ 2015-present 8x8, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+var assert = require("assert");
+var test = require("node:test");
+var RateLimiter = require("../lib/RateLimiter");
+
+test("limits the messages per template", function () {
+    var rateLimiter = new RateLimiter();
+    var options = { templates: { rate: 1, burst: 2 } };
+    var allow = function (message, now) {
+        return rateLimiter.allow(options, "stats", "info", now, [ message ]);
+    };
+
+    assert.strictEqual(allow("Stats for 1", 0), true);
+    assert.strictEqual(allow("Stats for 2", 0), true);
+    assert.strictEqual(allow("Stats for 3", 0), false);
+    assert.strictEqual(allow("Other message", 0), true);
+    // The bucket refills at the rate.
+    assert.strictEqual(allow("Stats for 4", 1000), true);
+    assert.strictEqual(allow("Stats for 5", 1000), false);
+});
+
+test("returns the template of the message", function () {
+    assert.strictEqual(RateLimiter.getTemplate([ "Stats for 1234 took 5.5 ms", 1 ]),
+        "Stats for <n> took <n> ms");
+    assert.strictEqual(RateLimiter.getTemplate([ { a: 1 } ]), "");
+    assert.strictEqual(RateLimiter.getTemplate([]), "");
+});
+
+test("summarizes the suppressed messages when the interval elapses", function () {
+    var rateLimiter = new RateLimiter();
+    var options = {
+        rate: 1,
+        summaryInterval: 1000
+    };
+
+    assert.strictEqual(rateLimiter.getSummaryDelay(options, "ice", 0), null);
+    rateLimiter.allow(options, "ice", "debug", 0);
+    rateLimiter.allow(options, "ice", "debug", 100);
+    rateLimiter.allow(options, "ice", "warn", 200);
+
+    assert.strictEqual(rateLimiter.getSummaryDelay(options, "ice", 300), 800);
+    assert.strictEqual(rateLimiter.takeSummary(options, "ice", 300), null);
+    assert.strictEqual(rateLimiter.takeSummary(options, "ice", 1100),
+        "Suppressed 2 messages (debug: 1, warn: 1) in the last 1000 ms");
+    assert.strictEqual(rateLimiter.getSummaryDelay(options, "ice", 1100), null);
+});
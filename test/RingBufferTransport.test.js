@@ -0,0 +1,131 @@
+/* Copyright @ 2015-present 8x8, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+var assert = require("assert");
+var test = require("node:test");
+var RingBufferTransport = require("../lib/RingBufferTransport");
+
+/**
+ * Passes the record with the given fields to the transport.
+ * @param {RingBufferTransport} transport the transport.
+ * @param {string} level the log level.
+ * @param {number} timestamp the time of the record.
+ * @param {Array} args the logged arguments.
+ * @param {string} [loggerId] the id of the logger.
+ */
+function log(transport, level, timestamp, args, loggerId) {
+    transport[level]({
+        level: level,
+        loggerId: loggerId || "test",
+        timestamp: timestamp,
+        callerInfo: null,
+        args: args,
+        context: {}
+    });
+}
+
+/**
+ * Returns the first arguments of the given records.
+ * @param {LogRecord[]} records the records.
+ * @returns {Array}
+ */
+function getMessages(records) {
+    return records.map(function (record) {
+        return record.args[0];
+    });
+}
+
+test("keeps the most recent maxEntries records", function () {
+    var transport = new RingBufferTransport({ maxEntries: 2 });
+
+    log(transport, "info", 1, [ "first" ]);
+    log(transport, "info", 2, [ "second" ]);
+    log(transport, "info", 3, [ "third" ]);
+
+    assert.deepStrictEqual(getMessages(transport.query()), [ "second", "third" ]);
+});
+
+test("evicts the oldest records over maxBytes and maxAge", function () {
+    var now = 0;
+    var bySize = new RingBufferTransport({ maxBytes: 20 });
+    var byAge = new RingBufferTransport({
+        maxAge: 100,
+        now: function () {
+            return now;
+        }
+    });
+
+    // Each record is 10 characters long in JSON.
+    log(bySize, "info", 1, [ "first1" ]);
+    log(bySize, "info", 2, [ "second" ]);
+    log(bySize, "info", 3, [ "third3" ]);
+    assert.deepStrictEqual(getMessages(bySize.query()), [ "second", "third3" ]);
+
+    log(byAge, "info", 0, [ "old" ]);
+    now = 50;
+    log(byAge, "info", 50, [ "new" ]);
+    now = 120;
+    assert.deepStrictEqual(getMessages(byAge.query()), [ "new" ]);
+});
+
+test("queries the records by time, level and logger id", function () {
+    var transport = new RingBufferTransport();
+
+    log(transport, "debug", 10, [ "a" ], "xmpp");
+    log(transport, "warn", 20, [ "b" ], "xmpp");
+    log(transport, "error", 30, [ "c" ], "rtc");
+    log(transport, "info", 40, [ "d" ], "xmpp");
+
+    assert.deepStrictEqual(getMessages(transport.query({
+        since: 20,
+        until: 30
+    })), [ "b", "c" ]);
+    assert.deepStrictEqual(getMessages(transport.query({ level: "warn" })), [ "b", "c" ]);
+    assert.deepStrictEqual(getMessages(transport.query({
+        loggerId: "xmpp",
+        level: "info"
+    })), [ "b", "d" ]);
+
+    transport.clear();
+    assert.deepStrictEqual(transport.query(), []);
+});
+
+test("keeps a snapshot of the arguments", function () {
+    var transport = new RingBufferTransport();
+    var state = { count: 1 };
+
+    log(transport, "info", 1, [ "state", state ]);
+    state.count = 2;
+
+    assert.deepStrictEqual(transport.query()[0].args, [ "state", { count: 1 } ]);
+});
+
+test("exports the records with a formatter", function () {
+    var transport = new RingBufferTransport();
+
+    log(transport, "info", 0, [ "first" ]);
+    log(transport, "error", 1000, [ "second", { id: 1 } ]);
+
+    assert.strictEqual(transport.export(),
+        "1970-01-01T00:00:00.000Z [INFO] [test] first\n" +
+        "1970-01-01T00:00:01.000Z [ERROR] [test] second {\"id\":1}");
+    assert.deepStrictEqual(transport.export("jsonLines", { level: "error" }).split("\n").map(function (line) {
+        return JSON.parse(line).message;
+    }), [ "second {\"id\":1}" ]);
+    assert.strictEqual(transport.export({
+        format: function (record) {
+            return record.level;
+        }
+    }), "info\nerror");
+});
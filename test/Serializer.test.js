@@ -0,0 +1,117 @@
+/* Copyright @ 2015-present 8x8, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+var assert = require("assert");
+var test = require("node:test");
+var Serializer = require("../lib/Serializer");
+
+test("replaces the circular references with their paths", function () {
+    var value = { a: { b: [ 1 ] } };
+    value.a.b.push(value.a);
+    value.a.self = value;
+
+    assert.deepStrictEqual(Serializer.toSerializable(value), {
+        a: {
+            b: [ 1, "[Circular $.a]" ],
+            self: "[Circular $]"
+        }
+    });
+});
+
+test("serializes the repeated references which are not circular", function () {
+    var shared = { id: 1 };
+
+    assert.deepStrictEqual(Serializer.toSerializable([ shared, shared ]), [ { id: 1 }, { id: 1 } ]);
+});
+
+test("serializes the maps, the sets, the typed arrays and the BigInts", function () {
+    assert.deepStrictEqual(Serializer.toSerializable({
+        map: new Map([ [ "a", 1 ], [ "b", new Set([ 2 ]) ] ]),
+        bytes: new Uint8Array([ 1, 2 ]),
+        big: BigInt(10)
+    }), {
+        map: {
+            "@type": "Map",
+            entries: [ [ "a", 1 ], [ "b", { "@type": "Set", values: [ 2 ] } ] ]
+        },
+        bytes: {
+            "@type": "Uint8Array",
+            length: 2,
+            values: [ 1, 2 ]
+        },
+        big: "10n"
+    });
+});
+
+test("serializes the errors with their custom fields and cause", function () {
+    var cause = new RangeError("out of range");
+    var error = new Error("failed", { cause: cause });
+    error.code = 42;
+
+    var result = Serializer.toSerializable(error);
+
+    assert.strictEqual(result["@type"], "Error");
+    assert.strictEqual(result.message, "failed");
+    assert.strictEqual(result.code, 42);
+    assert.strictEqual(typeof result.stack, "string");
+    assert.strictEqual(result.cause["@type"], "RangeError");
+    assert.strictEqual(result.cause.message, "out of range");
+});
+
+test("serializes the special values", function () {
+    assert.deepStrictEqual(Serializer.toSerializable({
+        nan: NaN,
+        undef: undefined,
+        fn: function named() {},
+        date: new Date(0),
+        list: [ undefined ]
+    }), {
+        nan: "NaN",
+        fn: "[Function named]",
+        date: "1970-01-01T00:00:00.000Z",
+        list: [ "[undefined]" ]
+    });
+});
+
+test("limits the depth", function () {
+    var value = { a: { b: { c: [ 1 ] } } };
+
+    assert.deepStrictEqual(Serializer.toSerializable(value, { maxDepth: 2 }), {
+        a: { b: "[Object]" }
+    });
+    assert.deepStrictEqual(Serializer.toSerializable(value, { maxDepth: 3 }), {
+        a: { b: { c: "[Array]" } }
+    });
+});
+
+test("limits the length of the arrays and the strings", function () {
+    var options = {
+        maxArrayLength: 2,
+        maxStringLength: 3
+    };
+
+    assert.deepStrictEqual(Serializer.toSerializable([ 1, 2, 3, 4 ], options), [ 1, 2, "... 2 more items" ]);
+    assert.deepStrictEqual(Serializer.toSerializable(new Set([ 1, 2, 3 ]), options), {
+        "@type": "Set",
+        values: [ 1, 2, "... 1 more items" ]
+    });
+    assert.strictEqual(Serializer.toSerializable("abcdef", options), "abc... (3 more characters)");
+});
+
+test("serializes to JSON", function () {
+    var value = { big: BigInt(1) };
+    value.self = value;
+
+    assert.strictEqual(Serializer.serialize(value), "{\"big\":\"1n\",\"self\":\"[Circular $]\"}");
+});
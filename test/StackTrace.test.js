@@ -0,0 +1,118 @@
+/* Copyright @ 2015-present 8x8, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+var assert = require("assert");
+var test = require("node:test");
+var StackTrace = require("../lib/StackTrace");
+
+/**
+ * Returns the frame with the given fields.
+ * @returns {StackFrame}
+ */
+function frame(methodName, fileLocation, line, column) {
+    return {
+        methodName: methodName,
+        fileLocation: fileLocation,
+        line: line,
+        column: column
+    };
+}
+
+test("parses the V8 stack", function () {
+    var stack = [
+        "Error: failed at https://example.com:443/x",
+        "    at getCallerInfo (https://meet.example.com/libs/app.bundle.min.js:2:1234)",
+        "    at Logger.log [as info] (/app/node_modules/@jitsi/logger/lib/Logger.js:425:5)",
+        "    at async JitsiConference.join (webpack:///./JitsiConference.js:10:20)",
+        "    at https://meet.example.com/libs/app.bundle.min.js:3:4",
+        "    at Object.<anonymous> (/app/index.js:3:1)",
+        "    at Array.forEach (<anonymous>)",
+        "    at new Promise (native)",
+        "    at async Promise.all (index 0)"
+    ].join("\n");
+
+    assert.deepStrictEqual(StackTrace.parseStack(stack), [
+        frame("getCallerInfo", "https://meet.example.com/libs/app.bundle.min.js", 2, 1234),
+        frame("Logger.log [as info]", "/app/node_modules/@jitsi/logger/lib/Logger.js", 425, 5),
+        frame("JitsiConference.join", "webpack:///./JitsiConference.js", 10, 20),
+        frame("", "https://meet.example.com/libs/app.bundle.min.js", 3, 4),
+        frame("", "/app/index.js", 3, 1),
+        frame("Array.forEach", "", null, null),
+        frame("new Promise", "", null, null),
+        frame("Promise.all", "", null, null)
+    ]);
+});
+
+test("parses the SpiderMonkey stack", function () {
+    var stack = [
+        "getCallerInfo@https://meet.example.com/libs/app.bundle.min.js:2:1234",
+        "JitsiConference.prototype.join/<@https://meet.example.com/libs/app.js:10:20",
+        "onClick/handler<@https://meet.example.com/libs/app.js:11:2",
+        "promise callback*join@https://meet.example.com/libs/app.js:12:3",
+        "async*init@https://meet.example.com/libs/app.js:13:4",
+        "@https://meet.example.com/libs/app.js:14:5",
+        "@debugger eval code:1:1",
+        ""
+    ].join("\n");
+
+    assert.deepStrictEqual(StackTrace.parseStack(stack), [
+        frame("getCallerInfo", "https://meet.example.com/libs/app.bundle.min.js", 2, 1234),
+        frame("JitsiConference.prototype.join", "https://meet.example.com/libs/app.js", 10, 20),
+        frame("onClick/handler", "https://meet.example.com/libs/app.js", 11, 2),
+        frame("join", "https://meet.example.com/libs/app.js", 12, 3),
+        frame("init", "https://meet.example.com/libs/app.js", 13, 4),
+        frame("", "https://meet.example.com/libs/app.js", 14, 5),
+        frame("", "debugger eval code", 1, 1)
+    ]);
+});
+
+test("parses the JavaScriptCore stack", function () {
+    var stack = [
+        "getCallerInfo@https://meet.example.com/libs/app.bundle.min.js:2:1234",
+        "join@https://meet.example.com/libs/app.js:10:20",
+        "forEach@[native code]",
+        "module code@https://meet.example.com/libs/app.js:11",
+        "global code@https://meet.example.com/index.html:5:10"
+    ].join("\n");
+
+    assert.deepStrictEqual(StackTrace.parseStack(stack), [
+        frame("getCallerInfo", "https://meet.example.com/libs/app.bundle.min.js", 2, 1234),
+        frame("join", "https://meet.example.com/libs/app.js", 10, 20),
+        frame("forEach", "", null, null),
+        frame("", "https://meet.example.com/libs/app.js", 11, null),
+        frame("", "https://meet.example.com/index.html", 5, 10)
+    ]);
+});
+
+test("parses the Hermes stack", function () {
+    var stack = [
+        "Error: failed",
+        "    at getCallerInfo (address at index.android.bundle:1:100)",
+        "    at join (http://localhost:8081/index.bundle?platform=ios&dev=true:2:200)",
+        "    at anonymous (index.android.bundle:3:300)",
+        "    at apply (native)"
+    ].join("\n");
+
+    assert.deepStrictEqual(StackTrace.parseStack(stack), [
+        frame("getCallerInfo", "index.android.bundle", 1, 100),
+        frame("join", "http://localhost:8081/index.bundle?platform=ios&dev=true", 2, 200),
+        frame("", "index.android.bundle", 3, 300),
+        frame("apply", "", null, null)
+    ]);
+});
+
+test("returns the file location of the caller", function () {
+    assert.strictEqual(StackTrace.getFileLocation(), __filename);
+    assert.strictEqual(StackTrace.fileLocation, require.resolve("../lib/StackTrace"));
+});
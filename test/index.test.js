@@ -0,0 +1,211 @@
+/* Copyright @ 2015-present 8x8, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+var assert = require("assert");
+var childProcess = require("child_process");
+var test = require("node:test");
+var JitsiLogger = require("../lib");
+
+test.afterEach(function () {
+    // Resets the level rules.
+    JitsiLogger.setLogLevel(JitsiLogger.levels.TRACE);
+});
+
+test("applies the level rule to the matching id and its descendants", function () {
+    JitsiLogger.setLogLevelRules({ "xmpp": "warn" });
+
+    assert.strictEqual(JitsiLogger.getLogger("xmpp").getLevel(), "warn");
+    assert.strictEqual(JitsiLogger.getLogger("xmpp.strophe").getLevel(), "warn");
+    assert.strictEqual(JitsiLogger.getLogger("xmpp:1").getLevel(), "warn");
+    assert.strictEqual(JitsiLogger.getLogger("xmpp/connection").getLevel(), "warn");
+    assert.strictEqual(JitsiLogger.getLogger("xmppExtra").getLevel(), "trace");
+    assert.strictEqual(JitsiLogger.getLogger().getLevel(), "trace");
+});
+
+test("prefers the most specific matching rule", function () {
+    JitsiLogger.setLogLevelRules({
+        "*": "error",
+        "xmpp.*": "warn",
+        "xmpp.strophe": "debug"
+    });
+
+    assert.strictEqual(JitsiLogger.getLogger("rtc").getLevel(), "error");
+    assert.strictEqual(JitsiLogger.getLogger("xmpp.caps").getLevel(), "warn");
+    assert.strictEqual(JitsiLogger.getLogger("xmpp.strophe").getLevel(), "debug");
+    assert.strictEqual(JitsiLogger.getLogger("xmpp.strophe.ping").getLevel(), "debug");
+});
+
+test("prefers the rule without wildcards on a tie", function () {
+    // Both have 4 characters outside of the wildcards.
+    JitsiLogger.setLogLevelRules({
+        "rtc*": "warn",
+        "rtcA": "debug"
+    });
+    assert.strictEqual(JitsiLogger.getLogger("rtcA").getLevel(), "debug");
+
+    JitsiLogger.setLogLevelRules({
+        "rtcA": "debug",
+        "rtc*": "warn"
+    });
+    assert.strictEqual(JitsiLogger.getLogger("rtcA").getLevel(), "debug");
+});
+
+test("prefers the rule set last on a tie", function () {
+    JitsiLogger.setLogLevelById("warn", "a*c");
+    JitsiLogger.setLogLevelById("error", "ab*");
+    assert.strictEqual(JitsiLogger.getLogger("abc").getLevel(), "error");
+
+    JitsiLogger.setLogLevelById("info", "a*c");
+    assert.strictEqual(JitsiLogger.getLogger("abc").getLevel(), "info");
+});
+
+test("applies the rules to the existing and the later created loggers", function () {
+    var existing = JitsiLogger.getLogger("conference");
+
+    JitsiLogger.setLogLevelRules({ "conference": "warn" });
+    assert.strictEqual(existing.getLevel(), "warn");
+
+    var created = JitsiLogger.getLogger("conference.stats");
+    assert.strictEqual(created.getLevel(), "warn");
+
+    JitsiLogger.setLogLevelById("error", "conference.stats");
+    assert.strictEqual(existing.getLevel(), "warn");
+    assert.strictEqual(created.getLevel(), "error");
+    assert.strictEqual(JitsiLogger.getLogger("conference.stats").getLevel(), "error");
+});
+
+test("uses the library level when no rule matches", function () {
+    JitsiLogger.setLogLevel("info");
+    JitsiLogger.setLogLevelRules({ "xmpp": "warn" });
+
+    assert.strictEqual(JitsiLogger.getLogger("rtc").getLevel(), "info");
+});
+
+test("restores the level when the watched filter spec is removed", function () {
+    var listeners = {};
+
+    global.window = {
+        location: { hash: "#logging=*:warn,rtc:debug" },
+        addEventListener: function (event, listener) {
+            listeners[event] = listener;
+        },
+        removeEventListener: function (event) {
+            delete listeners[event];
+        }
+    };
+
+    try {
+        var stopWatching = JitsiLogger.loadLogFilter({
+            hashParam: "logging",
+            watch: true
+        });
+        var logger = JitsiLogger.getLogger("xmpp");
+        var rtcLogger = JitsiLogger.getLogger("rtc");
+
+        assert.strictEqual(logger.getLevel(), "warn");
+        assert.strictEqual(rtcLogger.getLevel(), "debug");
+
+        window.location.hash = "#logging=xmpp:error";
+        listeners.hashchange();
+        assert.strictEqual(logger.getLevel(), "error");
+        assert.strictEqual(rtcLogger.getLevel(), "trace");
+
+        window.location.hash = "";
+        listeners.hashchange();
+        assert.strictEqual(logger.getLevel(), "trace");
+        assert.strictEqual(rtcLogger.getLevel(), "trace");
+
+        stopWatching();
+        assert.deepStrictEqual(listeners, {});
+    } finally {
+        delete global.window;
+    }
+});
+
+/**
+ * Returns the ids of the live tracked loggers starting with the given prefix.
+ * @param {string} prefix the prefix.
+ * @returns {string[]}
+ */
+function getLoggerIds(prefix) {
+    return JitsiLogger.getLoggers().map(function (logger) {
+        return logger.id;
+    }).filter(function (id) {
+        return id && id.indexOf(prefix) === 0;
+    });
+}
+
+test("stops logging and tracking the disposed loggers", function () {
+    var messages = [];
+    var transport = {
+        info: function (message) {
+            messages.push(message);
+        }
+    };
+    var disposed = JitsiLogger.getLogger("dispose.a", [ transport ]);
+    var released = JitsiLogger.getLogger("dispose.b", [ transport ]);
+    var kept = JitsiLogger.getLogger("dispose.c", [ transport ]);
+
+    assert.deepStrictEqual(getLoggerIds("dispose."), [ "dispose.a", "dispose.b", "dispose.c" ]);
+    JitsiLogger.getLoggers().forEach(function (logger) {
+        if (logger.id === "dispose.c") {
+            assert.strictEqual(logger.level, "trace");
+            assert.notStrictEqual(logger.transports.indexOf(transport), -1);
+        }
+    });
+
+    disposed.dispose();
+    JitsiLogger.releaseLogger(released);
+    assert.deepStrictEqual(getLoggerIds("dispose."), [ "dispose.c" ]);
+
+    JitsiLogger.setLogLevel("info");
+    assert.strictEqual(disposed.getLevel(), "off");
+    assert.strictEqual(kept.getLevel(), "info");
+
+    disposed.info("dropped");
+    assert.strictEqual(disposed.getTransports().indexOf(transport), -1);
+    assert.deepStrictEqual(messages, []);
+});
+
+test("lets the weakly tracked loggers be garbage collected", function () {
+    var script = [
+        "var JitsiLogger = require(" + JSON.stringify(require.resolve("../lib")) + ");",
+        "JitsiLogger.setWeakLoggerTracking(true);",
+        "var kept = JitsiLogger.getLogger('kept');",
+        "(function () { JitsiLogger.getLogger('collected'); })();",
+        "setTimeout(function () {",
+        "    global.gc();",
+        "    setTimeout(function () {",
+        "        kept.setLevel('warn');",
+        "        process.stdout.write(JSON.stringify(JitsiLogger.getLoggers().map(function (l) {",
+        "            return [ l.id, l.level ];",
+        "        })));",
+        "    }, 0);",
+        "}, 0);"
+    ].join("\n");
+
+    return new Promise(function (resolve, reject) {
+        childProcess.execFile(process.execPath, [ "--expose-gc", "-e", script ], {
+            timeout: 10000
+        }, function (error, stdout) {
+            if (error) {
+                reject(error);
+            } else {
+                resolve(stdout);
+            }
+        });
+    }).then(function (stdout) {
+        assert.deepStrictEqual(JSON.parse(stdout), [ [ "kept", "warn" ] ]);
+    });
+});